@@ -0,0 +1,67 @@
+/**
+ * categories.js - The list of categories you can pick from 🏷️
+ * Each category has a name, a color and an icon. Archived categories
+ * stay on old transactions but can't be picked for new ones.
+ */
+
+/**
+ * Categories every new user starts with
+ */
+export const DEFAULT_CATEGORIES = [
+    { name: 'Food', color: '#f4a261', icon: '🍔', archived: false },
+    { name: 'Books', color: '#2a9d8f', icon: '📚', archived: false },
+    { name: 'Transport', color: '#457b9d', icon: '🚕', archived: false },
+    { name: 'Entertainment', color: '#e76f51', icon: '🎬', archived: false },
+    { name: 'Fees', color: '#6d597a', icon: '🎓', archived: false },
+    { name: 'Accessories', color: '#e9c46a', icon: '💍', archived: false },
+    { name: 'Furniture', color: '#8d6e63', icon: '🛋️', archived: false },
+    { name: 'Other', color: '#9e9e9e', icon: '🏷️', archived: false }
+];
+
+// Colors handed out to categories that are created automatically
+const FALLBACK_COLORS = ['#264653', '#b5838d', '#588157', '#bc6c25', '#3a86ff', '#8338ec'];
+
+/**
+ * Find a category by name (not case sensitive)
+ * @param {Array} categories - Category list
+ * @param {string} name - Name to look for
+ * @returns {Object|null} Category or null
+ */
+export function findCategory(categories, name) {
+    if (!name) return null;
+
+    const lower = name.toLowerCase();
+    return categories.find(c => c.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Build a category with default color and icon
+ * @param {string} name - Category name
+ * @param {number} index - Used to pick a color
+ * @returns {Object} Category object
+ */
+export function createCategory(name, index = 0) {
+    return {
+        name,
+        color: FALLBACK_COLORS[index % FALLBACK_COLORS.length],
+        icon: '🏷️',
+        archived: false
+    };
+}
+
+/**
+ * Get the color and icon for a category name
+ * Unknown names get a neutral style
+ * @param {Array} categories - Category list
+ * @param {string} name - Category name
+ * @returns {Object} {color, icon}
+ */
+export function getCategoryStyle(categories, name) {
+    const category = findCategory(categories, name);
+
+    if (!category) {
+        return { color: '#9e9e9e', icon: '🏷️' };
+    }
+
+    return { color: category.color, icon: category.icon };
+}
@@ -0,0 +1,286 @@
+/**
+ * charts.js - Small SVG charts, no libraries needed 📊
+ * Every chart comes with a table of the same numbers (for screen readers,
+ * or if the picture is hard to read), and every data point can be reached
+ * with Tab or the arrow keys and read out.
+ */
+
+import { el, svgEl } from './dom.js';
+
+// Size of the line and bar charts (they scale to fit their box)
+const WIDTH = 600;
+const HEIGHT = 240;
+const PLOT = { left: 64, right: 584, top: 16, bottom: 208 };
+
+// Most labels shown under a chart (the table has all of them)
+const MAX_AXIS_LABELS = 6;
+
+/**
+ * Round a maximum up to a tidy number for the axis (e.g. 37 -> 50)
+ * @param {number} value - Largest value
+ * @returns {number} Top of the axis
+ */
+function getAxisMax(value) {
+    if (value <= 0) return 1;
+
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= value);
+    return step * magnitude;
+}
+
+/**
+ * Make a chart element a data point you can focus and read
+ * @param {string} tag - SVG tag, e.g. 'circle'
+ * @param {Object} attributes - Attributes for svgEl()
+ * @param {string} label - What a screen reader says, e.g. "Food: $20.00"
+ * @returns {SVGElement} Focusable point
+ */
+function createPoint(tag, attributes, label) {
+    return svgEl(tag, {
+        ...attributes,
+        className: `chart-point ${attributes.className || ''}`.trim(),
+        tabindex: '0',
+        role: 'img',
+        'aria-label': label
+    }, svgEl('title', { text: label }));
+}
+
+/**
+ * Move focus between data points with the arrow keys
+ * @param {KeyboardEvent} e - Key press inside the chart
+ */
+function handleChartKeydown(e) {
+    const points = [...e.currentTarget.querySelectorAll('.chart-point')];
+    const index = points.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    const moves = {
+        ArrowRight: index + 1,
+        ArrowDown: index + 1,
+        ArrowLeft: index - 1,
+        ArrowUp: index - 1,
+        Home: 0,
+        End: points.length - 1
+    };
+    if (!(e.key in moves)) return;
+
+    e.preventDefault();
+    const next = points[Math.max(0, Math.min(points.length - 1, moves[e.key]))];
+    next.focus();
+}
+
+/**
+ * Put a chart together: picture, readout of the focused point, legend and table
+ * @param {Object} parts - {title, svg, legend, columns, rows}
+ * @returns {HTMLElement} Chart figure
+ */
+function buildChart({ title, svg, legend, columns, rows }) {
+    const readout = el('p', { className: 'chart-readout', 'aria-live': 'polite' });
+
+    svg.setAttribute('role', 'group');
+    svg.setAttribute('aria-label', `${title}. Use the arrow keys to move between points.`);
+    svg.addEventListener('keydown', handleChartKeydown);
+
+    // Say what the focused (or hovered) point is
+    const showPoint = e => {
+        const point = e.target.closest ? e.target.closest('.chart-point') : null;
+        if (point) readout.textContent = point.getAttribute('aria-label');
+    };
+    svg.addEventListener('focusin', showPoint);
+    svg.addEventListener('mouseover', showPoint);
+
+    return el('figure', { className: 'chart' },
+        svg,
+        readout,
+        legend,
+        el('details', { className: 'chart-table' },
+            el('summary', { text: 'Show as table' }),
+            el('table', { className: 'transactions-table' },
+                el('caption', { text: title }),
+                el('thead', {}, el('tr', {}, columns.map(column => el('th', { scope: 'col', text: column })))),
+                el('tbody', {}, rows.map(row => el('tr', {}, row.map(cell => el('td', { text: cell })))))
+            )
+        )
+    );
+}
+
+/**
+ * Build a legend of colored swatches
+ * @param {Array} items - [{label, color}]
+ * @returns {HTMLElement} Legend list
+ */
+function buildLegend(items) {
+    return el('ul', { className: 'chart-legend' }, items.map(item =>
+        el('li', {},
+            el('span', { className: 'chart-swatch', style: { background: item.color }, 'aria-hidden': 'true' }),
+            item.label
+        )
+    ));
+}
+
+/**
+ * Draw the value axis: grid lines with labels at 0, half and the top
+ * @param {number} max - Top of the axis
+ * @param {Function} formatValue - Formats a value for the labels
+ * @returns {Array} SVG elements
+ */
+function buildValueAxis(max, formatValue) {
+    return [0, max / 2, max].map(value => {
+        const y = PLOT.bottom - (value / max) * (PLOT.bottom - PLOT.top);
+        return svgEl('g', { className: 'chart-grid', 'aria-hidden': 'true' },
+            svgEl('line', { x1: PLOT.left, x2: PLOT.right, y1: y, y2: y }),
+            svgEl('text', { x: PLOT.left - 8, y: y + 4, 'text-anchor': 'end', text: formatValue(value) })
+        );
+    });
+}
+
+/**
+ * Draw labels under the chart, skipping some when there are many
+ * @param {Array} labels - Label for each position
+ * @param {Function} getX - Takes an index and returns the x position
+ * @returns {Array} SVG text elements
+ */
+function buildLabelAxis(labels, getX) {
+    const every = Math.ceil(labels.length / MAX_AXIS_LABELS);
+    return labels
+        .map((label, index) => ({ label, index }))
+        .filter(({ index }) => index % every === 0)
+        .map(({ label, index }) => svgEl('text', {
+            className: 'chart-axis-label',
+            x: getX(index),
+            y: PLOT.bottom + 20,
+            'text-anchor': 'middle',
+            'aria-hidden': 'true',
+            text: label
+        }));
+}
+
+/**
+ * Donut chart, e.g. spending by category
+ * @param {Object} options - {title, slices: [{label, value, color}], formatValue}
+ * @returns {HTMLElement} Chart figure
+ */
+export function createDonutChart({ title, slices, formatValue = String }) {
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    const radius = 70;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+
+    const arcs = slices.map(slice => {
+        const length = total > 0 ? (slice.value / total) * circumference : 0;
+        const share = total > 0 ? (slice.value / total) * 100 : 0;
+        const arc = createPoint('circle', {
+            className: 'chart-slice',
+            cx: 100,
+            cy: 100,
+            r: radius,
+            stroke: slice.color,
+            'stroke-dasharray': `${length} ${circumference - length}`,
+            'stroke-dashoffset': -offset,
+            transform: 'rotate(-90 100 100)'
+        }, `${slice.label}: ${formatValue(slice.value)} (${share.toFixed(0)}%)`);
+
+        offset += length;
+        return arc;
+    });
+
+    const svg = svgEl('svg', { className: 'chart-svg chart-donut', viewBox: '0 0 200 200' },
+        arcs,
+        svgEl('text', { className: 'chart-total', x: 100, y: 96, 'text-anchor': 'middle', 'aria-hidden': 'true', text: 'Total' }),
+        svgEl('text', { className: 'chart-total-value', x: 100, y: 116, 'text-anchor': 'middle', 'aria-hidden': 'true', text: formatValue(total) })
+    );
+
+    return buildChart({
+        title,
+        svg,
+        legend: buildLegend(slices),
+        columns: ['Category', 'Amount', 'Share'],
+        rows: slices.map(slice => [
+            slice.label,
+            formatValue(slice.value),
+            `${total > 0 ? ((slice.value / total) * 100).toFixed(0) : 0}%`
+        ])
+    });
+}
+
+/**
+ * Line chart, e.g. spending per day, week or month
+ * @param {Object} options - {title, points: [{label, value}], formatValue, labelName, valueName}
+ *   labelName and valueName head the table columns
+ * @returns {HTMLElement} Chart figure
+ */
+export function createLineChart({ title, points, formatValue = String, labelName = 'Period', valueName = 'Value' }) {
+    const max = getAxisMax(Math.max(0, ...points.map(point => point.value)));
+    const step = points.length > 1 ? (PLOT.right - PLOT.left) / (points.length - 1) : 0;
+    const getX = index => (points.length > 1 ? PLOT.left + index * step : (PLOT.left + PLOT.right) / 2);
+    const getY = value => PLOT.bottom - (Math.max(0, value) / max) * (PLOT.bottom - PLOT.top);
+
+    const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${getX(index)} ${getY(point.value)}`).join(' ');
+
+    const svg = svgEl('svg', { className: 'chart-svg chart-line', viewBox: `0 0 ${WIDTH} ${HEIGHT}` },
+        buildValueAxis(max, formatValue),
+        svgEl('path', { className: 'chart-line-path', d: path, 'aria-hidden': 'true' }),
+        points.map((point, index) => createPoint('circle', {
+            cx: getX(index),
+            cy: getY(point.value),
+            r: 4
+        }, `${point.label}: ${formatValue(point.value)}`)),
+        buildLabelAxis(points.map(point => point.label), getX)
+    );
+
+    return buildChart({
+        title,
+        svg,
+        legend: null,
+        columns: [labelName, valueName],
+        rows: points.map(point => [point.label, formatValue(point.value)])
+    });
+}
+
+/**
+ * Grouped bar chart, e.g. budget vs. actual spending per period
+ * @param {Object} options - {title, groups: [{label, axisLabel, values, note}], series: [{name, color}],
+ *   formatValue, labelName}; values line up with series, axisLabel is a shorter label
+ *   for under the bars, and note is added to the description and table (e.g. "Over by $5.00")
+ * @returns {HTMLElement} Chart figure
+ */
+export function createBarChart({ title, groups, series, formatValue = String, labelName = 'Period' }) {
+    const max = getAxisMax(Math.max(0, ...groups.flatMap(group => group.values)));
+    const groupWidth = (PLOT.right - PLOT.left) / Math.max(groups.length, 1);
+    const barWidth = (groupWidth * 0.7) / series.length;
+    const getX = index => PLOT.left + (index + 0.5) * groupWidth;
+
+    const bars = groups.flatMap((group, groupIndex) => group.values.map((value, seriesIndex) => {
+        const height = (Math.max(0, value) / max) * (PLOT.bottom - PLOT.top);
+        const note = group.note ? ` (${group.note})` : '';
+
+        return createPoint('rect', {
+            className: 'chart-bar',
+            x: getX(groupIndex) - (series.length * barWidth) / 2 + seriesIndex * barWidth,
+            y: PLOT.bottom - height,
+            width: barWidth,
+            height,
+            fill: series[seriesIndex].color
+        }, `${group.label}, ${series[seriesIndex].name}: ${formatValue(value)}${note}`);
+    }));
+
+    const svg = svgEl('svg', { className: 'chart-svg chart-bars', viewBox: `0 0 ${WIDTH} ${HEIGHT}` },
+        buildValueAxis(max, formatValue),
+        bars,
+        buildLabelAxis(groups.map(group => group.axisLabel || group.label), getX)
+    );
+
+    const hasNotes = groups.some(group => group.note);
+
+    return buildChart({
+        title,
+        svg,
+        legend: buildLegend(series.map(item => ({ label: item.name, color: item.color }))),
+        columns: [labelName, ...series.map(item => item.name), ...(hasNotes ? ['Result'] : [])],
+        rows: groups.map(group => [
+            group.label,
+            ...group.values.map(formatValue),
+            ...(hasNotes ? [group.note || ''] : [])
+        ])
+    });
+}
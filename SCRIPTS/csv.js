@@ -0,0 +1,382 @@
+/**
+ * csv.js - Reads and writes CSV files (spreadsheets, bank statements) 📄
+ * Bank and mobile-money statements all look a bit different, so the
+ * import works in steps: parse the file, map columns to our fields,
+ * then turn each row into transaction form data.
+ */
+
+/**
+ * Columns written when exporting
+ */
+export const CSV_EXPORT_COLUMNS = ['date', 'description', 'type', 'category', 'amount', 'currency'];
+
+/**
+ * Fields a CSV column can be mapped to
+ * description, amount and date are required, the rest are optional
+ */
+export const CSV_FIELDS = ['description', 'amount', 'category', 'date', 'type', 'currency'];
+
+// Header words that usually mean a field (used to guess the mapping)
+const HEADER_HINTS = {
+    description: ['description', 'desc', 'details', 'narration', 'memo', 'name', 'payee', 'reference'],
+    amount: ['amount', 'amt', 'value', 'sum', 'total', 'debit', 'montant'],
+    category: ['category', 'cat', 'tag', 'group'],
+    date: ['date', 'day', 'posted', 'transaction date', 'booking date'],
+    type: ['type', 'kind', 'direction'],
+    currency: ['currency', 'curr', 'ccy']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Currency code or symbol allowed before or after an amount ("RWF 1,200", "5.00 €")
+const CURRENCY_TEXT = '(?:[A-Za-z]{3}|[$€£¥₣])';
+// Optional sign and currency around the number, in any of the usual orders
+const AMOUNT_PATTERN = new RegExp(
+    `^([-+]?)\\s*${CURRENCY_TEXT}?\\s*([-+]?)\\s*([\\d.,\\s]*\\d[\\d.,\\s]*?)\\s*([-+]?)\\s*${CURRENCY_TEXT}?$`
+);
+
+/**
+ * Turn rows of objects into CSV text
+ * @param {Array} rows - Objects to write (e.g., transactions)
+ * @param {Array} columns - Keys to write, in order
+ * @returns {string} CSV text with a header row
+ */
+export function toCSV(rows, columns = CSV_EXPORT_COLUMNS) {
+    const lines = [columns.join(',')];
+
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeCSVField(row[column])).join(','));
+    });
+
+    return lines.join('\r\n');
+}
+
+/**
+ * Quote a value for CSV if needed
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+ * @param {*} value - Value to write
+ * @returns {string} Safe CSV field
+ */
+function escapeCSVField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Work out which character separates the columns
+ * @param {string} firstLine - Header line of the file
+ * @returns {string} ',', ';' or tab
+ */
+export function detectDelimiter(firstLine) {
+    const candidates = [',', ';', '\t'];
+    let best = ',';
+    let bestCount = 0;
+
+    candidates.forEach(candidate => {
+        // Ignore separators inside quotes
+        const count = firstLine.replace(/"[^"]*"/g, '').split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Parse CSV text into a header row and data rows
+ * Handles quoted fields, "" inside quotes, and line breaks inside quotes
+ * @param {string} text - CSV file contents
+ * @returns {Object} {headers: Array, rows: Array of Arrays, delimiter}
+ */
+export function parseCSV(text) {
+    // Remove the byte order mark some spreadsheet apps add
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content.split(/\r?\n/)[0] || '');
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line may not end with a line break
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Skip empty lines
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    const headers = (nonEmpty.shift() || []).map(h => h.trim());
+
+    return { headers, rows: nonEmpty, delimiter };
+}
+
+/**
+ * Guess which column holds which field from the header names
+ * @param {Array} headers - Header row
+ * @returns {Object} {description: index, amount: index, ...} (-1 if not found)
+ */
+export function guessColumnMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    const lowerHeaders = headers.map(h => h.toLowerCase());
+
+    CSV_FIELDS.forEach(field => {
+        mapping[field] = -1;
+
+        // Exact match first, then "contains"
+        const hints = HEADER_HINTS[field];
+        let index = lowerHeaders.findIndex((h, i) => !used.has(i) && hints.includes(h));
+        if (index === -1) {
+            index = lowerHeaders.findIndex((h, i) => !used.has(i) && hints.some(hint => h.includes(hint)));
+        }
+
+        if (index !== -1) {
+            mapping[field] = index;
+            used.add(index);
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Parse a date in one of the common formats into "YYYY-MM-DD"
+ * Supports 2025-09-29, 2025/09/29, 29/09/2025, 09/29/2025, 29.09.2025, 29-09-2025 and 29 Sep 2025
+ * @param {string} value - Date text
+ * @param {string} order - 'auto', 'dmy' (day first) or 'mdy' (month first) for dates like 03/04/2025
+ * @returns {string|null} Date key or null if it can't be read
+ */
+export function parseCSVDate(value, order = 'auto') {
+    if (!value) return null;
+
+    const text = value.trim();
+    let year;
+    let month;
+    let day;
+
+    // Year first: 2025-09-29 or 2025/09/29 (time after it is ignored)
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    }
+
+    // Year last: 29/09/2025, 09/29/2025, 29.09.2025, 29-09-25
+    if (!match) {
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+        if (match) {
+            const first = Number(match[1]);
+            const second = Number(match[2]);
+            year = Number(match[3]);
+            if (year < 100) year += 2000;
+
+            // Decide which part is the day
+            let dayFirst = order !== 'mdy';
+            if (order === 'auto') {
+                if (second > 12) dayFirst = false;
+                if (first > 12) dayFirst = true;
+            }
+
+            day = dayFirst ? first : second;
+            month = dayFirst ? second : first;
+        }
+    }
+
+    // Month names: 29 Sep 2025 or Sep 29, 2025
+    if (!match) {
+        match = text.match(/^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\.?,?\s+(\d{4})/)
+            || text.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+        if (match) {
+            const dayText = /^\d/.test(match[1]) ? match[1] : match[2];
+            const monthText = /^\d/.test(match[1]) ? match[2] : match[1];
+            day = Number(dayText);
+            month = MONTHS.indexOf(monthText.toLowerCase()) + 1;
+            year = Number(match[3]);
+        }
+    }
+
+    if (!match || !month || month > 12 || !day || day > 31) {
+        return null;
+    }
+
+    // Reject dates that don't exist (like 31/02/2025)
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1) {
+        return null;
+    }
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Read digits that use one kind of separator ("1,200", "12,50", "1.200.000")
+ * One separator followed by exactly three digits is a thousands separator,
+ * the same way most bank statements write it, unless the number starts with "0".
+ * @param {string} text - Digits and separators
+ * @param {string} separator - "," or "."
+ * @returns {string} Number text parseFloat can read, or '' if the groups don't fit
+ */
+function readSingleSeparator(text, separator) {
+    const parts = text.split(separator);
+    const isDecimal = parts.length === 2 && (parts[1].length !== 3 || /^0?$/.test(parts[0]));
+    if (isDecimal) return parts.join('.');
+
+    return parts.slice(1).every(part => part.length === 3) ? parts.join('') : '';
+}
+
+/**
+ * Parse an amount written in a common format
+ * Supports "1,234.56", "1.234,56", "12,50", "1,200", "1.200", "1 200",
+ * "RWF 1,200", "$-5.00" and "(5.00)". Anything else in the text (like "1e3")
+ * makes the amount unreadable rather than being dropped.
+ * @param {string} value - Amount text
+ * @returns {number} Parsed amount, or NaN if it can't be read
+ */
+export function parseCSVAmount(value) {
+    if (value === undefined || value === null) return NaN;
+
+    let text = String(value).trim();
+
+    // Accounting style: (5.00) means -5.00
+    const accounting = /^\(.*\)$/.test(text);
+    if (accounting) text = text.slice(1, -1).trim();
+
+    const match = text.match(AMOUNT_PATTERN);
+    if (!match) return NaN;
+
+    const signs = match[1] + match[2] + match[4];
+    if (signs.length > 1 || (accounting && signs)) return NaN;
+    const negative = accounting || signs === '-';
+
+    // Spaces only ever group thousands
+    text = match[3].replace(/\s/g, '');
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both used: the last one is the decimal separator
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        const [whole, fraction, ...rest] = text.split(decimal);
+        const groups = whole.split(thousands);
+        if (rest.length > 0 || !groups.slice(1).every(group => group.length === 3)) return NaN;
+        text = `${groups.join('')}.${fraction}`;
+    } else if (lastComma !== -1) {
+        text = readSingleSeparator(text, ',');
+    } else if (lastDot !== -1) {
+        text = readSingleSeparator(text, '.');
+    }
+
+    if (!/^\d*\.?\d+$|^\d+\.?$/.test(text)) return NaN;
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return NaN;
+
+    return negative ? -amount : amount;
+}
+
+/**
+ * Write a number the way the amount validator expects ("12" or "12.50")
+ * @param {number} amount - Amount
+ * @returns {string} Amount text
+ */
+export function formatAmountForValidation(amount) {
+    const rounded = Math.round(amount * 100) / 100;
+    return Number.isInteger(rounded) ? String(rounded) : rounded.toFixed(2);
+}
+
+/**
+ * Turn CSV rows into transaction form data using a column mapping
+ * If the amount column has negative numbers (like a bank statement),
+ * negatives become expenses and positives become income.
+ * @param {Array} rows - Data rows from parseCSV
+ * @param {Object} mapping - {field: column index} from guessColumnMapping
+ * @param {Object} options - {dateOrder, defaultCategory, defaultCurrency}
+ * @returns {Array} [{row, data, errors}] where row is the line number in the file
+ */
+export function rowsToTransactions(rows, mapping, options = {}) {
+    const {
+        dateOrder = 'auto',
+        defaultCategory = 'Other',
+        defaultCurrency = 'USD'
+    } = options;
+
+    const read = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+    const hasNegatives = rows.some(row => parseCSVAmount(read(row, 'amount')) < 0);
+
+    return rows.map((row, index) => {
+        const errors = {};
+        const amountText = read(row, 'amount');
+        const amount = parseCSVAmount(amountText);
+        const dateText = read(row, 'date');
+        const date = parseCSVDate(dateText, dateOrder);
+
+        let type = read(row, 'type').toLowerCase();
+        if (!type) {
+            type = hasNegatives && amount > 0 ? 'income' : 'expense';
+        }
+
+        if (isNaN(amount)) {
+            errors.amount = `Could not read amount "${amountText}"`;
+        }
+        if (!date) {
+            errors.date = `Could not read date "${dateText}"`;
+        }
+
+        return {
+            row: index + 2, // +1 for the header, +1 because people count from 1
+            data: {
+                type,
+                description: read(row, 'description'),
+                amount: isNaN(amount) ? amountText : formatAmountForValidation(type === 'transfer' ? amount : Math.abs(amount)),
+                category: read(row, 'category') || defaultCategory,
+                date: date || dateText,
+                currency: (read(row, 'currency') || defaultCurrency).toUpperCase()
+            },
+            errors
+        };
+    });
+}
@@ -0,0 +1,76 @@
+/**
+ * currency.js - Converts and formats money in different currencies 💱
+ * Exchange rates are stored as "how many units per 1 USD"
+ */
+
+/**
+ * Currencies the app knows about
+ */
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'RWF'];
+
+// Symbols shown in front of amounts
+const CURRENCY_SYMBOLS = {
+    USD: '$',
+    EUR: '€',
+    RWF: 'RWF '
+};
+
+// Rwandan Francs have no cents in everyday use
+const CURRENCY_DECIMALS = {
+    USD: 2,
+    EUR: 2,
+    RWF: 0
+};
+
+/**
+ * Convert an amount from one currency to another
+ * @param {number} amount - Amount in the original currency
+ * @param {string} from - Original currency code (e.g., 'EUR')
+ * @param {string} to - Target currency code (e.g., 'USD')
+ * @param {Object} rates - Rates per 1 USD, e.g. {USD: 1, EUR: 0.85, RWF: 1350}
+ * @returns {number} Converted amount
+ */
+export function convertAmount(amount, from, to, rates) {
+    if (from === to) {
+        return amount;
+    }
+
+    const fromRate = rates[from];
+    const toRate = rates[to];
+
+    // Unknown or broken rate: keep the amount as it is rather than showing NaN
+    if (!fromRate || !toRate) {
+        console.error('Missing exchange rate:', from, to);
+        return amount;
+    }
+
+    // Go through USD: amount / fromRate gives USD, times toRate gives target
+    return (amount / fromRate) * toRate;
+}
+
+/**
+ * Get the symbol for a currency
+ * @param {string} currency - Currency code
+ * @returns {string} Symbol like "$" or "€"
+ */
+export function getCurrencySymbol(currency) {
+    return CURRENCY_SYMBOLS[currency] || `${currency} `;
+}
+
+/**
+ * Format an amount as money
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code (defaults to USD)
+ * @returns {string} Formatted amount like "$12.50", "-€3.00" or "RWF 1,350"
+ */
+export function formatMoney(amount, currency = 'USD') {
+    const decimals = CURRENCY_DECIMALS[currency] ?? 2;
+    const sign = amount < 0 ? '-' : '';
+
+    const formatted = Math.abs(amount).toLocaleString('en-US', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+
+    return `${sign}${getCurrencySymbol(currency)}${formatted}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * dom.js - Builds page elements safely 🧱
+ * Descriptions, categories and imported files are typed by people, so they
+ * must never be read as HTML. Elements built here only ever put that text
+ * in text nodes, so something like <img onerror=...> shows up as text.
+ */
+
+/**
+ * Create an element
+ * @param {string} tag - Tag name, e.g. 'div'
+ * @param {Object} attributes - className, text, style (object), on<event> (function)
+ *   or any other attribute (e.g. 'aria-label'); null/false values are skipped
+ * @param {...(Node|string|Array)} children - Elements or text (text is never parsed as HTML)
+ * @returns {HTMLElement} New element
+ */
+export function el(tag, attributes = {}, ...children) {
+    const element = document.createElement(tag);
+    setAttributes(element, attributes);
+    appendChildren(element, children);
+    return element;
+}
+
+// Namespace SVG elements must be created in
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Create an SVG element (for charts), the same way as el()
+ * @param {string} tag - Tag name, e.g. 'circle'
+ * @param {Object} attributes - Same as el(); numbers are fine for x, y, width...
+ * @param {...(Node|string|Array)} children - Elements or text
+ * @returns {SVGElement} New element
+ */
+export function svgEl(tag, attributes = {}, ...children) {
+    const element = document.createElementNS(SVG_NAMESPACE, tag);
+    setAttributes(element, attributes);
+    appendChildren(element, children);
+    return element;
+}
+
+/**
+ * Set the attributes, text, style and events of a new element
+ * @param {Element} element - HTML or SVG element
+ * @param {Object} attributes - See el()
+ */
+function setAttributes(element, attributes) {
+    for (const [name, value] of Object.entries(attributes)) {
+        if (value === null || value === undefined || value === false) continue;
+        
+        if (name === 'className') {
+            element.setAttribute('class', value);
+        } else if (name === 'text') {
+            element.textContent = value;
+        } else if (name === 'style') {
+            for (const [property, styleValue] of Object.entries(value)) {
+                element.style.setProperty(property, styleValue);
+            }
+        } else if (name.startsWith('on') && typeof value === 'function') {
+            element.addEventListener(name.slice(2).toLowerCase(), value);
+        } else {
+            element.setAttribute(name, value === true ? '' : String(value));
+        }
+    }
+}
+
+/**
+ * Add elements and text to a parent
+ * @param {Node} parent - Element or fragment
+ * @param {Array} children - Elements, text, arrays of them, or null (skipped)
+ */
+function appendChildren(parent, children) {
+    children.flat(Infinity).forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        parent.append(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+}
+
+/**
+ * Build text with <mark> around the matched parts
+ * @param {Array} parts - [{text, marked}] from findMatches() in search.js
+ * @returns {DocumentFragment} Text nodes and <mark> elements
+ */
+export function markedText(parts) {
+    const fragment = document.createDocumentFragment();
+    parts.forEach(part => {
+        fragment.append(part.marked ? el('mark', { text: part.text }) : document.createTextNode(part.text));
+    });
+    return fragment;
+}
+
+/**
+ * Escape text so it can go inside an HTML string
+ * Prefer el() - this is for the few places that still build HTML strings.
+ * @param {*} text - Text to escape
+ * @returns {string} Text with & < > " ' escaped
+ */
+export function escapeHTML(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
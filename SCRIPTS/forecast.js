@@ -0,0 +1,86 @@
+/**
+ * forecast.js - Predicts where the budget is heading 🔮
+ * Everyday spending is projected at the pace of the period so far, and
+ * recurring charges (rent, subscriptions) are added on the day they are due,
+ * since we already know when they will hit.
+ */
+
+import { addDays, countDays } from './periods.js';
+
+// Before this many days the pace is a rough guess
+const MIN_DAYS_FOR_PACE = 3;
+
+/**
+ * Forecast spending to the end of a budget period
+ * @param {Object} input - Everything the forecast needs:
+ *   period: {start, end} budget period
+ *   today: date key for today
+ *   cap: budget for the period (including any rollover)
+ *   expenses: [{date, amount, recurring}] expenses in the period so far, amounts in the
+ *     base currency; recurring is true if a recurring rule created it
+ *   scheduled: [{date, amount}] recurring expenses still to come
+ * @returns {Object} {spent, dailyPace, scheduledTotal, projected, projectedLeft,
+ *   runOutDate, ranOut, safeDaily, daysLeft, isEarly}
+ *   runOutDate is when spending goes over the cap (null if it won't this period),
+ *   ranOut is true if that already happened
+ */
+export function forecastSpending({ period, today, cap, expenses, scheduled }) {
+    const lastDay = today < period.end ? today : period.end;
+    const soFar = expenses
+        .filter(t => t.date >= period.start && t.date <= lastDay)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const spent = soFar.reduce((sum, t) => sum + t.amount, 0);
+
+    // Recurring charges don't set the pace, they come on their own dates
+    const everyday = soFar.filter(t => !t.recurring).reduce((sum, t) => sum + t.amount, 0);
+    const daysSoFar = Math.max(countDays(period.start, lastDay), 1);
+    const dailyPace = everyday / daysSoFar;
+
+    const daysLeft = today < period.end ? countDays(today, period.end) - 1 : 0;
+    const upcoming = scheduled.filter(charge => charge.date > today && charge.date <= period.end);
+    const scheduledTotal = upcoming.reduce((sum, charge) => sum + charge.amount, 0);
+    const projected = spent + dailyPace * daysLeft + scheduledTotal;
+
+    // Already over: find the day it happened
+    let runOutDate = null;
+    let total = 0;
+    for (const t of soFar) {
+        total += t.amount;
+        if (total > cap) {
+            runOutDate = t.date;
+            break;
+        }
+    }
+    const ranOut = runOutDate !== null;
+
+    // Otherwise walk forward day by day
+    for (let day = 1; !ranOut && day <= daysLeft; day++) {
+        const date = addDays(today, day);
+        total += dailyPace + upcoming
+            .filter(charge => charge.date === date)
+            .reduce((sum, charge) => sum + charge.amount, 0);
+
+        if (total > cap) {
+            runOutDate = date;
+            break;
+        }
+    }
+
+    // What can go on everyday spending each day (today included) and still stay under
+    const daysToSpread = today <= period.end ? countDays(today, period.end) : 0;
+    const safeDaily = daysToSpread > 0 ? Math.max(cap - spent - scheduledTotal, 0) / daysToSpread : 0;
+
+    return {
+        spent,
+        dailyPace,
+        scheduledTotal,
+        projected,
+        projectedLeft: cap - projected,
+        runOutDate,
+        ranOut,
+        safeDaily,
+        daysLeft,
+        isEarly: daysSoFar < MIN_DAYS_FOR_PACE
+    };
+}
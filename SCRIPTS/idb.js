@@ -0,0 +1,145 @@
+/**
+ * idb.js - Small helpers for IndexedDB (the browser's bigger database) 🗄️
+ * IndexedDB works with callbacks, so each helper wraps one request or
+ * transaction in a Promise. storage.js is the only file that uses these.
+ *
+ * Stores:
+ * - transactions: one record per transaction, keyed by id
+ * - meta: everything else (settings, recurring rules, schema version), keyed by name
+ */
+
+const DB_NAME = 'financeTracker';
+const DB_VERSION = 1;
+
+export const STORES = {
+    TRANSACTIONS: 'transactions',
+    META: 'meta'
+};
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise} Resolves when everything is written
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Wait for a single request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise} Resolves with the result
+ */
+function requestDone(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create if needed) the database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not supported'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.TRANSACTIONS)) {
+            db.createObjectStore(STORES.TRANSACTIONS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(STORES.META)) {
+            db.createObjectStore(STORES.META);
+        }
+    };
+
+    return requestDone(request);
+}
+
+/**
+ * Read every transaction
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<Array>} Transactions
+ */
+export function readTransactions(db) {
+    const tx = db.transaction(STORES.TRANSACTIONS, 'readonly');
+    return requestDone(tx.objectStore(STORES.TRANSACTIONS).getAll());
+}
+
+/**
+ * Read every meta value
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<Object>} {settings, recurring, schemaVersion, ...}
+ */
+export async function readMeta(db) {
+    const tx = db.transaction(STORES.META, 'readonly');
+    const store = tx.objectStore(STORES.META);
+    const [keys, values] = await Promise.all([
+        requestDone(store.getAllKeys()),
+        requestDone(store.getAll())
+    ]);
+
+    const meta = {};
+    keys.forEach((key, index) => {
+        meta[key] = values[index];
+    });
+    return meta;
+}
+
+/**
+ * Write only the transactions that changed, in one go
+ * @param {IDBDatabase} db - Open database
+ * @param {Array} puts - Transactions to add or replace
+ * @param {Array} deletes - Ids to remove
+ * @returns {Promise} Resolves when written
+ */
+export function writeTransactions(db, puts, deletes) {
+    const tx = db.transaction(STORES.TRANSACTIONS, 'readwrite');
+    const store = tx.objectStore(STORES.TRANSACTIONS);
+
+    puts.forEach(record => store.put(record));
+    deletes.forEach(id => store.delete(id));
+
+    return transactionDone(tx);
+}
+
+/**
+ * Write one meta value
+ * @param {IDBDatabase} db - Open database
+ * @param {string} key - e.g. 'settings'
+ * @param {*} value - Value to save (undefined removes it)
+ * @returns {Promise} Resolves when written
+ */
+export function writeMeta(db, key, value) {
+    const tx = db.transaction(STORES.META, 'readwrite');
+    const store = tx.objectStore(STORES.META);
+
+    if (value === undefined) {
+        store.delete(key);
+    } else {
+        store.put(value, key);
+    }
+
+    return transactionDone(tx);
+}
+
+/**
+ * Remove everything from both stores
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise} Resolves when cleared
+ */
+export function clearDatabase(db) {
+    const tx = db.transaction([STORES.TRANSACTIONS, STORES.META], 'readwrite');
+    tx.objectStore(STORES.TRANSACTIONS).clear();
+    tx.objectStore(STORES.META).clear();
+    return transactionDone(tx);
+}
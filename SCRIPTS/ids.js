@@ -0,0 +1,29 @@
+/**
+ * ids.js - Makes unique IDs for transactions and other records 🔑
+ * Shared by state.js and storage.js (which gives IDs to old saved data).
+ */
+
+/**
+ * Generate a unique ID for transactions (or other records)
+ * @param {string} prefix - Start of the ID, 'txn' for transactions
+ * @returns {string} Unique ID like "txn_1634567890123"
+ */
+export function generateId(prefix = 'txn') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Give an ID to records saved without one (or sharing one)
+ * The first record keeps a shared ID, later copies get a new one, so none is lost
+ * @param {Array} records - Transactions (or other records)
+ * @returns {Array} Records, each with its own ID
+ */
+export function giveUniqueIds(records) {
+    const seen = new Set();
+    
+    return records.map(record => {
+        const unique = record.id && !seen.has(record.id) ? record : { ...record, id: generateId() };
+        seen.add(unique.id);
+        return unique;
+    });
+}
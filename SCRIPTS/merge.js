@@ -0,0 +1,160 @@
+/**
+ * merge.js - Merges imported transactions into the ones you already have 🔀
+ * Instead of replacing everything, each imported transaction is sorted
+ * into one of four groups before anything is saved:
+ * - adds: new transactions
+ * - updates: same id, and the imported copy was changed more recently
+ * - conflicts: same id, but your copy was changed more recently (or at the same time)
+ * - skipped: exact copies, or likely duplicates (same date and amount, similar description)
+ *
+ * It also merges the copies two open tabs have of the same data.
+ */
+
+// Fields compared to decide if two copies of a transaction are the same
+const COMPARED_FIELDS = ['description', 'amount', 'category', 'date', 'type', 'currency'];
+
+/**
+ * Make a description easy to compare ("Lunch @ Café!" -> "lunch caf")
+ * @param {string} text - Description
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeDescription(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check if two descriptions probably mean the same thing
+ * e.g. "Uber to campus" and "UBER to campus." or "Netflix" and "Netflix subscription"
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {boolean} True if they look alike
+ */
+export function isSimilarDescription(a, b) {
+    const first = normalizeDescription(a);
+    const second = normalizeDescription(b);
+
+    if (!first || !second) return false;
+    if (first === second) return true;
+    if (first.includes(second) || second.includes(first)) return true;
+
+    // Share most of their words
+    const firstWords = new Set(first.split(' '));
+    const secondWords = new Set(second.split(' '));
+    const shared = [...firstWords].filter(word => secondWords.has(word)).length;
+    const total = new Set([...firstWords, ...secondWords]).size;
+
+    return shared / total >= 0.6;
+}
+
+/**
+ * Check if two transactions are likely the same real-world payment
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @returns {boolean} True if same date, same amount and similar description
+ */
+export function isLikelyDuplicate(a, b) {
+    return a.date === b.date
+        && Math.abs(parseFloat(a.amount) - parseFloat(b.amount)) < 0.005
+        && (a.currency || 'USD') === (b.currency || 'USD')
+        && isSimilarDescription(a.description, b.description);
+}
+
+/**
+ * Check if two copies of a transaction have the same details
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @returns {boolean} True if nothing differs
+ */
+function isSameTransaction(a, b) {
+    return COMPARED_FIELDS.every(field => {
+        if (field === 'amount') {
+            return parseFloat(a.amount) === parseFloat(b.amount);
+        }
+        if (field === 'type') {
+            return (a.type || 'expense') === (b.type || 'expense');
+        }
+        if (field === 'currency') {
+            return (a.currency || 'USD') === (b.currency || 'USD');
+        }
+        return a[field] === b[field];
+    });
+}
+
+/**
+ * Work out what merging would do, without changing anything
+ * @param {Array} existing - Transactions already saved
+ * @param {Array} incoming - Transactions from the imported file
+ * @returns {Object} {adds, updates, conflicts, skipped}
+ *   updates and conflicts are [{existing, incoming}],
+ *   skipped is [{incoming, reason, match}]
+ */
+export function planMerge(existing, incoming) {
+    const plan = { adds: [], updates: [], conflicts: [], skipped: [] };
+    const byId = new Map(existing.map(t => [t.id, t]));
+    const seenIds = new Set();
+
+    incoming.forEach(item => {
+        // The same id twice in one file: keep the first
+        if (item.id && seenIds.has(item.id)) {
+            plan.skipped.push({ incoming: item, reason: 'Appears twice in the file', match: null });
+            return;
+        }
+        if (item.id) seenIds.add(item.id);
+
+        const current = item.id ? byId.get(item.id) : null;
+
+        if (current) {
+            if (isSameTransaction(current, item)) {
+                plan.skipped.push({ incoming: item, reason: 'Already saved', match: current });
+            } else if ((item.updatedAt || '') > (current.updatedAt || '')) {
+                plan.updates.push({ existing: current, incoming: item });
+            } else {
+                plan.conflicts.push({ existing: current, incoming: item });
+            }
+            return;
+        }
+
+        // New id: check it isn't the same payment saved under another id
+        // (rows inside one file are not compared, two coffees on one day can both be real)
+        const duplicate = existing.find(t => isLikelyDuplicate(t, item));
+
+        if (duplicate) {
+            plan.skipped.push({ incoming: item, reason: 'Looks like a duplicate', match: duplicate });
+        } else {
+            plan.adds.push(item);
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Merge this tab's transactions with the ones another tab saved
+ * For each id the copy with the newer updatedAt wins, so edits made at
+ * the same time in two tabs don't wipe each other out.
+ * @param {Array} local - Transactions in this tab
+ * @param {Array} stored - Transactions in storage (saved by the other tab)
+ * @param {Array} removedIds - Ids the other tab removed for good
+ * @returns {Array} Merged transactions
+ */
+export function mergeByUpdatedAt(local, stored, removedIds = []) {
+    const removed = new Set(removedIds);
+    const merged = new Map();
+
+    stored.forEach(t => merged.set(t.id, t));
+
+    local.forEach(t => {
+        if (removed.has(t.id)) return;
+
+        const other = merged.get(t.id);
+        if (!other || (t.updatedAt || '') > (other.updatedAt || '')) {
+            merged.set(t.id, t);
+        }
+    });
+
+    return [...merged.values()];
+}
@@ -0,0 +1,66 @@
+/**
+ * migrations.js - Upgrades old saved data and old export files 🧳
+ * Every time the shape of our data changes, CURRENT_SCHEMA_VERSION goes up
+ * by one and a step is added to MIGRATIONS that upgrades the version before.
+ * Data is upgraded one step at a time, so very old data still works.
+ *
+ * Versions:
+ * 1 - original app: transactions saved as a plain list, no type or currency
+ * 2 - transactions have a type and currency, settings have a base currency
+ */
+
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * Upgrade steps, keyed by the version they upgrade FROM
+ * Each step gets {transactions, settings, recurringRules} (any part may be
+ * missing, e.g. export files only have transactions) and returns the same shape.
+ */
+const MIGRATIONS = {
+    1: (data) => ({
+        ...data,
+        transactions: data.transactions && data.transactions.map(t => ({
+            ...t,
+            type: t.type || 'expense',
+            currency: t.currency || 'USD',
+            // Some old files saved amounts as text
+            amount: typeof t.amount === 'string' && t.amount.trim() !== '' && !isNaN(Number(t.amount))
+                ? Number(t.amount)
+                : t.amount
+        })),
+        settings: data.settings && {
+            baseCurrency: 'USD',
+            ...data.settings
+        }
+    })
+};
+
+/**
+ * Upgrade data to the current version
+ * @param {Object} data - {transactions, settings, recurringRules}
+ * @param {number} version - Version the data was saved with
+ * @returns {Object} {isValid, data, error} - error is set if the data is from a newer version
+ */
+export function migrateData(data, version) {
+    const from = Number(version);
+
+    if (!Number.isInteger(from) || from < 1) {
+        return { isValid: false, data, error: `Unknown data version "${version}"` };
+    }
+
+    if (from > CURRENT_SCHEMA_VERSION) {
+        return {
+            isValid: false,
+            data,
+            error: `This data was saved by a newer version of the app (version ${from}, this app understands up to ${CURRENT_SCHEMA_VERSION}). Please update the app.`
+        };
+    }
+
+    let upgraded = data;
+    for (let v = from; v < CURRENT_SCHEMA_VERSION; v++) {
+        upgraded = MIGRATIONS[v](upgraded);
+        console.log(`Data migrated from version ${v} to ${v + 1}`);
+    }
+
+    return { isValid: true, data: upgraded, error: '' };
+}
@@ -0,0 +1,275 @@
+/**
+ * periods.js - Works out budget periods (weeks, months, semesters) 📅
+ * Dates are plain "YYYY-MM-DD" strings, the same as transaction dates,
+ * so they can be compared directly.
+ */
+
+/**
+ * Period types we support
+ * - weekly: starts on a chosen day of the week (0 = Sunday)
+ * - monthly: starts on a chosen day of the month (1-28)
+ * - custom: a fixed date range, e.g. a semester
+ */
+export const PERIOD_TYPES = ['weekly', 'monthly', 'custom'];
+
+export const DEFAULT_BUDGET_PERIOD = {
+    type: 'monthly',
+    startDay: 1,
+    start: '',
+    end: ''
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Turn a Date into a "YYYY-MM-DD" string (local time, not UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date key like "2025-09-29"
+ */
+export function toDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Turn a "YYYY-MM-DD" string into a local Date at midnight
+ * @param {string} key - Date key
+ * @returns {Date} Date object
+ */
+export function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Move a date key by a number of days
+ * @param {string} key - Date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} New date key
+ */
+export function addDays(key, days) {
+    const date = fromDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+}
+
+/**
+ * Count the days in a range (both ends included)
+ * @param {string} start - First day
+ * @param {string} end - Last day
+ * @returns {number} Number of days
+ */
+export function countDays(start, end) {
+    const ms = fromDateKey(end) - fromDateKey(start);
+    return Math.round(ms / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Get the budget period that contains a date
+ * @param {Object} period - Period settings {type, startDay, start, end}
+ * @param {Date|string} date - Date inside the period (defaults to today)
+ * @returns {Object} {start, end, label} with "YYYY-MM-DD" dates
+ */
+export function getPeriodRange(period = DEFAULT_BUDGET_PERIOD, date = new Date()) {
+    const key = typeof date === 'string' ? date : toDateKey(date);
+    const day = fromDateKey(key);
+    let start;
+    let end;
+
+    if (period.type === 'custom' && period.start && period.end) {
+        start = period.start;
+        end = period.end;
+    } else if (period.type === 'weekly') {
+        const startDay = Number(period.startDay) || 0;
+        const offset = (day.getDay() - startDay + 7) % 7;
+        start = addDays(key, -offset);
+        end = addDays(start, 6);
+    } else {
+        // Monthly (also the fallback for broken settings)
+        const startDay = Number(period.startDay) || 1;
+        const startDate = new Date(day.getFullYear(), day.getMonth(), startDay);
+        if (day.getDate() < startDay) {
+            startDate.setMonth(startDate.getMonth() - 1);
+        }
+        start = toDateKey(startDate);
+
+        const nextStart = new Date(startDate);
+        nextStart.setMonth(nextStart.getMonth() + 1);
+        end = addDays(toDateKey(nextStart), -1);
+    }
+
+    return { start, end, label: formatPeriodLabel(start, end) };
+}
+
+/**
+ * Get the dates of a quick range (used to filter the transaction list)
+ * "This semester" uses a custom budget period when one is set (that's what
+ * it's for), otherwise the half of the year we're in (Jan–Jun or Jul–Dec).
+ * @param {string} name - 'this-week', 'this-month', 'last-30-days' or 'semester'
+ * @param {Object} period - Budget period settings
+ * @param {Date|string} date - Today (for tests)
+ * @returns {Object|null} {start, end} or null for an unknown name
+ */
+export function getQuickRange(name, period = DEFAULT_BUDGET_PERIOD, date = new Date()) {
+    const key = typeof date === 'string' ? date : toDateKey(date);
+
+    switch (name) {
+        case 'this-week':
+            // Weeks follow the budget week if there is one, else start on Monday
+            return getPeriodRange({
+                type: 'weekly',
+                startDay: period.type === 'weekly' ? period.startDay : 1
+            }, key);
+        case 'this-month':
+            return getPeriodRange({ type: 'monthly', startDay: 1 }, key);
+        case 'last-30-days':
+            return { start: addDays(key, -29), end: key };
+        case 'semester': {
+            if (period.type === 'custom' && period.start && period.end) {
+                return { start: period.start, end: period.end };
+            }
+            const year = key.slice(0, 4);
+            return key.slice(5, 7) <= '06'
+                ? { start: `${year}-01-01`, end: `${year}-06-30` }
+                : { start: `${year}-07-01`, end: `${year}-12-31` };
+        }
+        default:
+            return null;
+    }
+}
+
+// How many days, weeks or months a spending trend goes back
+export const TREND_LENGTHS = { day: 30, week: 12, month: 12 };
+
+/**
+ * Get the ranges for a spending trend, oldest first, ending with the one
+ * that contains the date
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @param {Object} period - Budget period settings (weeks start on the budget day)
+ * @param {Date|string} date - Last day of the trend (defaults to today)
+ * @returns {Array} [{start, end, label}] with short labels like "Sep 5" or "Sep 2025"
+ */
+export function getTrendRanges(interval, period = DEFAULT_BUDGET_PERIOD, date = new Date()) {
+    const key = typeof date === 'string' ? date : toDateKey(date);
+    const ranges = [];
+
+    let range;
+    if (interval === 'day') {
+        range = { start: key, end: key };
+    } else if (interval === 'week') {
+        range = getQuickRange('this-week', period, key);
+    } else {
+        range = getQuickRange('this-month', period, key);
+    }
+
+    while (ranges.length < TREND_LENGTHS[interval]) {
+        const options = interval === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' };
+        ranges.unshift({
+            start: range.start,
+            end: range.end,
+            label: fromDateKey(range.start).toLocaleDateString('en-US', options)
+        });
+
+        const before = addDays(range.start, -1);
+        range = interval === 'day' ? { start: before, end: before } : getQuickRange(`this-${interval}`, period, before);
+    }
+
+    return ranges;
+}
+
+/**
+ * Get the calendar month or year that contains a date (for reports)
+ * @param {string} type - 'month' or 'year'
+ * @param {Date|string} date - Date inside it (defaults to today)
+ * @returns {Object} {start, end, label} with labels like "September 2025" or "2025"
+ */
+export function getReportRange(type, date = new Date()) {
+    const key = typeof date === 'string' ? date : toDateKey(date);
+
+    if (type === 'year') {
+        const year = key.slice(0, 4);
+        return { start: `${year}-01-01`, end: `${year}-12-31`, label: year };
+    }
+
+    const range = getPeriodRange({ type: 'monthly', startDay: 1 }, key);
+    return {
+        start: range.start,
+        end: range.end,
+        label: fromDateKey(range.start).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    };
+}
+
+/**
+ * Get the period just before a given one
+ * Custom ranges are one-off, so they have no previous period
+ * @param {Object} period - Period settings
+ * @param {Object} range - Current range {start, end}
+ * @returns {Object|null} Previous range or null
+ */
+export function getPreviousPeriodRange(period, range) {
+    if (period.type === 'custom') {
+        return null;
+    }
+
+    return getPeriodRange(period, addDays(range.start, -1));
+}
+
+/**
+ * Work out each period's budget, oldest first, carrying unspent money forward
+ * @param {Array} periods - [{start, end, label, spent}] oldest first
+ * @param {number} budgetCap - Budget for one period
+ * @param {boolean} rollover - Carry unspent money into the next period
+ * @returns {Array} The periods plus {cap, rollover, remaining, over, carryOver}
+ *   where rollover came in from the period before and carryOver goes to the next
+ */
+export function applyRollover(periods, budgetCap, rollover) {
+    let carry = 0;
+
+    return periods.map(p => {
+        const cap = budgetCap + carry;
+        const remaining = cap - p.spent;
+        const entry = {
+            ...p,
+            cap,
+            rollover: carry,
+            remaining,
+            over: remaining < 0
+        };
+
+        carry = rollover ? Math.max(remaining, 0) : 0;
+        entry.carryOver = carry;
+        return entry;
+    });
+}
+
+/**
+ * Describe a period setting in words
+ * @param {Object} period - Period settings
+ * @returns {string} Description like "Monthly (starts on day 25)"
+ */
+export function describePeriod(period) {
+    if (period.type === 'weekly') {
+        return `Weekly (starts on ${WEEKDAYS[Number(period.startDay) || 0]})`;
+    }
+
+    if (period.type === 'custom') {
+        return `Custom (${formatPeriodLabel(period.start, period.end)})`;
+    }
+
+    return `Monthly (starts on day ${Number(period.startDay) || 1})`;
+}
+
+/**
+ * Format a range as readable text
+ * @param {string} start - First day
+ * @param {string} end - Last day
+ * @returns {string} Label like "Sep 25, 2025 – Oct 24, 2025"
+ */
+export function formatPeriodLabel(start, end) {
+    const options = { month: 'short', day: 'numeric', year: 'numeric' };
+    const from = fromDateKey(start).toLocaleDateString('en-US', options);
+    const to = fromDateKey(end).toLocaleDateString('en-US', options);
+    return `${from} – ${to}`;
+}
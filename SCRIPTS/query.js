@@ -0,0 +1,447 @@
+/**
+ * query.js - A small search language for transactions 🔎
+ * Instead of one regex over every field, each word can say which field
+ * it is about:
+ *
+ *   category:Food amount:>20 date:2025-08..2025-09 "chez bosco"
+ *
+ * - Words without a field search the description and category
+ * - "quoted text" keeps spaces together
+ * - field:value  fields: description (desc), amount, category (cat), date, type, currency
+ *   (other words before a colon, like "Re: invoice", are plain text)
+ * - amount:>20  amount:<=5.50  amount:10..50  amount:20..
+ * - date:2025-09  date:2025-08..2025-09  date:>=2025-09-15
+ * - description:/^lunch/  a regex for one field
+ * - -word or -field:value  leaves out matches
+ * - OR  between words: either side can match (words next to each other must all match)
+ */
+
+import { detectCatastrophicPattern } from './search.js';
+
+// Names people can type for each field
+const FIELD_ALIASES = {
+    description: 'description',
+    desc: 'description',
+    amount: 'amount',
+    category: 'category',
+    cat: 'category',
+    date: 'date',
+    type: 'type',
+    currency: 'currency'
+};
+
+// Fields searched by words without a field
+const TEXT_FIELDS = ['description', 'category'];
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?';
+const PARTIAL_DATE = '\\d{4}(?:-\\d{2}(?:-\\d{2})?)?';
+
+/**
+ * Split the query into words, keeping "quoted text" and /regex/ together
+ * @param {string} text - Query text
+ * @returns {Array} Words
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        let token = '';
+        while (i < text.length && !/\s/.test(text[i])) {
+            const char = text[i];
+
+            if (char === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new Error('Missing closing quote (")');
+                }
+                token += text.slice(i, end + 1);
+                i = end + 1;
+            } else if (char === '/' && (token === '' || token === '-' || token.endsWith(':'))) {
+                // Find the closing slash (skipping escaped ones like \/)
+                let end = i + 1;
+                while (end < text.length && text[end] !== '/') {
+                    if (text[end] === '\\') end++;
+                    end++;
+                }
+                if (end >= text.length) {
+                    throw new Error('Missing closing / in regex');
+                }
+                token += text.slice(i, end + 1);
+                i = end + 1;
+            } else {
+                token += char;
+                i++;
+            }
+        }
+
+        tokens.push(token);
+    }
+
+    return tokens;
+}
+
+/**
+ * Turn a partial date into the first or last day it covers
+ * "2025" -> 2025-01-01 / 2025-12-31, "2025-09" -> 2025-09-01 / 2025-09-30
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {boolean} end - True for the last day
+ * @returns {string} Date key
+ */
+function expandDate(value, end) {
+    const [year, month, day] = value.split('-').map(Number);
+
+    if (month !== undefined && (month < 1 || month > 12)) {
+        throw new Error(`Invalid month in date "${value}"`);
+    }
+
+    if (day !== undefined) {
+        const check = new Date(year, month - 1, day);
+        if (check.getMonth() !== month - 1) {
+            throw new Error(`Invalid date "${value}"`);
+        }
+        return value;
+    }
+
+    if (month === undefined) {
+        return end ? `${year}-12-31` : `${year}-01-01`;
+    }
+
+    const lastDay = new Date(year, month, 0).getDate();
+    const paddedMonth = String(month).padStart(2, '0');
+    return `${year}-${paddedMonth}-${end ? lastDay : '01'}`;
+}
+
+/**
+ * Read an amount value like 20, >20, <=5.50, 10..50 or 20..
+ * @param {string} value - Value after "amount:"
+ * @returns {Object} Term details
+ */
+function parseAmountValue(value) {
+    let match = value.match(new RegExp(`^(>=|<=|>|<|=)?(${NUMBER})$`));
+    if (match) {
+        return { kind: 'compare', op: match[1] || '=', value: parseFloat(match[2]) };
+    }
+
+    match = value.match(new RegExp(`^(${NUMBER})?\\.\\.(${NUMBER})?$`));
+    if (match && (match[1] || match[2])) {
+        return {
+            kind: 'range',
+            min: match[1] ? parseFloat(match[1]) : -Infinity,
+            max: match[2] ? parseFloat(match[2]) : Infinity
+        };
+    }
+
+    throw new Error(`Amount "${value}" should look like 20, >20, <=5.50 or 10..50`);
+}
+
+/**
+ * Read a date value like 2025-09, >=2025-09-15 or 2025-08..2025-09
+ * @param {string} value - Value after "date:"
+ * @returns {Object} Term details (always a range of date keys)
+ */
+function parseDateValue(value) {
+    let match = value.match(new RegExp(`^(>=|<=|>|<|=)?(${PARTIAL_DATE})$`));
+    if (match) {
+        const op = match[1] || '=';
+        const start = expandDate(match[2], false);
+        const end = expandDate(match[2], true);
+
+        // "> 2025-09" means after the whole of September
+        switch (op) {
+            case '>': return { kind: 'range', min: end, max: null, exclusiveMin: true };
+            case '>=': return { kind: 'range', min: start, max: null };
+            case '<': return { kind: 'range', min: null, max: start, exclusiveMax: true };
+            case '<=': return { kind: 'range', min: null, max: end };
+            default: return { kind: 'range', min: start, max: end };
+        }
+    }
+
+    match = value.match(new RegExp(`^(${PARTIAL_DATE})?\\.\\.(${PARTIAL_DATE})?$`));
+    if (match && (match[1] || match[2])) {
+        return {
+            kind: 'range',
+            min: match[1] ? expandDate(match[1], false) : null,
+            max: match[2] ? expandDate(match[2], true) : null
+        };
+    }
+
+    throw new Error(`Date "${value}" should look like 2025-09, 2025-09-15, >=2025-09-01 or 2025-08..2025-09`);
+}
+
+/**
+ * Count the letters to add, remove or change to turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Number of edits
+ */
+function countEdits(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const same = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + same);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Check if a word before ":" looks like a mistyped field name ("categry", "amout")
+ * Other words ("Re: invoice", "http://...") are just text to search for.
+ * @param {string} name - Lowercase word before the colon
+ * @returns {boolean} True if it is close to a field name
+ */
+function isMistypedField(name) {
+    if (name.length < 3) return false;
+
+    return Object.keys(FIELD_ALIASES).some(alias =>
+        alias.startsWith(name) || countEdits(name, alias) <= (alias.length >= 7 ? 2 : 1)
+    );
+}
+
+/**
+ * Turn one word of the query into a search term
+ * @param {string} token - Word from tokenize()
+ * @param {boolean} caseSensitive - Match capitals exactly
+ * @returns {Object} {field, negate, kind, ...}
+ */
+function parseTerm(token, caseSensitive) {
+    let text = token;
+    let negate = false;
+
+    if (text.startsWith('-') && text.length > 1) {
+        negate = true;
+        text = text.slice(1);
+    }
+
+    let field = null;
+    let value = text;
+
+    const fieldMatch = text.match(/^([A-Za-z]+):(.*)$/s);
+    const name = fieldMatch ? fieldMatch[1].toLowerCase() : '';
+    if (Object.hasOwn(FIELD_ALIASES, name)) {
+        field = FIELD_ALIASES[name];
+        value = fieldMatch[2];
+        if (value === '') {
+            throw new Error(`Nothing to search for after "${fieldMatch[1]}:"`);
+        }
+    } else if (fieldMatch && isMistypedField(name)) {
+        throw new Error(`Unknown field "${fieldMatch[1]}". Use description, amount, category, date, type or currency.`);
+    }
+
+    // /regex/ for any text field
+    const regexMatch = value.match(/^\/(.*)\/([a-z]*)$/s);
+    if (regexMatch && field !== 'amount' && field !== 'date') {
+        try {
+            const flags = regexMatch[2].replace(/[^i]/g, '') || (caseSensitive ? '' : 'i');
+            return { field, negate, kind: 'regex', regex: new RegExp(regexMatch[1], flags) };
+        } catch (error) {
+            throw new Error(`Invalid regex /${regexMatch[1]}/: ${error.message}`);
+        }
+    }
+
+    // Quotes only group words, remove them
+    const isQuoted = /^".*"$/s.test(value);
+    if (isQuoted) {
+        value = value.slice(1, -1);
+        if (value === '') {
+            throw new Error('Empty quotes ("") have nothing to search for');
+        }
+    }
+
+    if (field === 'amount') {
+        return { field, negate, ...parseAmountValue(value) };
+    }
+
+    if (field === 'date') {
+        return { field, negate, ...parseDateValue(value) };
+    }
+
+    // Category, type and currency must match the whole name
+    const kind = field && field !== 'description' ? 'equals' : 'contains';
+    return { field, negate, kind, text: caseSensitive ? value : value.toLowerCase(), caseSensitive };
+}
+
+/**
+ * Parse a query into groups of terms
+ * Terms in a group must all match; any group matching is enough (OR).
+ * @param {string} text - Query text
+ * @param {Object} options - {caseSensitive}
+ * @returns {Object} {isValid, error, warning, query} where query is {groups: Array of Arrays}
+ *   and warning says if a /regex/ in it could be very slow
+ */
+export function parseQuery(text, options = {}) {
+    const { caseSensitive = false } = options;
+
+    if (!text || text.trim() === '') {
+        return { isValid: true, error: '', query: null };
+    }
+
+    try {
+        const tokens = tokenize(text);
+        const groups = [[]];
+
+        tokens.forEach(token => {
+            if (token === 'OR') {
+                if (groups[groups.length - 1].length === 0) {
+                    throw new Error('OR needs a search term on both sides');
+                }
+                groups.push([]);
+                return;
+            }
+            groups[groups.length - 1].push(parseTerm(token, caseSensitive));
+        });
+
+        if (groups[groups.length - 1].length === 0) {
+            throw new Error('OR needs a search term on both sides');
+        }
+
+        const regexTerms = groups.flat().filter(term => term.kind === 'regex');
+        const warning = regexTerms.map(term => detectCatastrophicPattern(term.regex.source)).find(Boolean) || '';
+
+        return { isValid: true, error: '', warning, query: { groups } };
+    } catch (error) {
+        return { isValid: false, error: error.message, query: null };
+    }
+}
+
+/**
+ * Read the value of a field from a transaction
+ * @param {Object} t - Transaction
+ * @param {string} field - Field name
+ * @param {Function} getAmount - Reads the amount (e.g., converted to one currency)
+ * @returns {string|number} Field value
+ */
+function getFieldValue(t, field, getAmount) {
+    switch (field) {
+        case 'amount': return getAmount(t);
+        case 'type': return t.type || 'expense';
+        case 'currency': return t.currency || 'USD';
+        default: return t[field] === undefined || t[field] === null ? '' : String(t[field]);
+    }
+}
+
+/**
+ * Check one term against one field value
+ * @param {Object} term - Parsed term
+ * @param {string|number} value - Field value
+ * @returns {boolean} True if it matches
+ */
+function matchesValue(term, value) {
+    switch (term.kind) {
+        case 'regex':
+            return term.regex.test(value);
+
+        case 'contains':
+        case 'equals': {
+            const text = term.caseSensitive ? value : value.toLowerCase();
+            return term.kind === 'equals' ? text === term.text : text.includes(term.text);
+        }
+
+        case 'compare': {
+            // Compare to the cent so 12.5 equals 12.50
+            const amount = Math.round(value * 100);
+            const target = Math.round(term.value * 100);
+            switch (term.op) {
+                case '>': return amount > target;
+                case '>=': return amount >= target;
+                case '<': return amount < target;
+                case '<=': return amount <= target;
+                default: return amount === target;
+            }
+        }
+
+        case 'range':
+            if (term.field === 'amount') {
+                return value >= term.min && value <= term.max;
+            }
+            if (term.min && (term.exclusiveMin ? value <= term.min : value < term.min)) return false;
+            if (term.max && (term.exclusiveMax ? value >= term.max : value > term.max)) return false;
+            return true;
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check if a transaction matches one term
+ * @param {Object} t - Transaction
+ * @param {Object} term - Parsed term
+ * @param {Function} getAmount - Reads the amount
+ * @returns {boolean} True if it matches (after negation)
+ */
+function matchesTerm(t, term, getAmount) {
+    const fields = term.field ? [term.field] : TEXT_FIELDS;
+    const matched = fields.some(field => matchesValue(term, getFieldValue(t, field, getAmount)));
+    return term.negate ? !matched : matched;
+}
+
+/**
+ * Filter transactions with a parsed query
+ * @param {Array} transactions - Transactions to search
+ * @param {Object} query - Result of parseQuery().query
+ * @param {Function} getAmount - Reads the amount (e.g., converted to one currency)
+ * @returns {Array} Matching transactions
+ */
+export function filterByQuery(transactions, query, getAmount = t => t.amount) {
+    if (!query) {
+        return transactions;
+    }
+
+    return transactions.filter(t =>
+        query.groups.some(group => group.every(term => matchesTerm(t, term, getAmount)))
+    );
+}
+
+/**
+ * Check if a query has any /regex/ terms
+ * (those run with a time limit, since a pattern can be slow)
+ * @param {Object} query - Result of parseQuery().query
+ * @returns {boolean} True if it has a regex term
+ */
+export function hasRegexTerms(query) {
+    return Boolean(query) && query.groups.flat().some(term => term.kind === 'regex');
+}
+
+/**
+ * Build a regex that highlights what a query searched for in one field
+ * Only text terms are highlighted (not amounts, dates or left-out words).
+ * @param {Object} query - Result of parseQuery().query
+ * @param {string} field - 'description' or 'category'
+ * @param {boolean} caseSensitive - Match capitals exactly
+ * @returns {RegExp|null} Global regex for highlightMatches, or null
+ */
+export function getQueryHighlightRegex(query, field, caseSensitive = false) {
+    if (!query) return null;
+
+    const sources = [];
+    query.groups.flat().forEach(term => {
+        if (term.negate) return;
+        if (term.field !== field && !(term.field === null && TEXT_FIELDS.includes(field))) return;
+
+        if (term.kind === 'regex') {
+            sources.push(term.regex.source);
+        } else if (term.kind === 'contains' || term.kind === 'equals') {
+            sources.push(term.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        }
+    });
+
+    if (sources.length === 0) return null;
+
+    try {
+        return new RegExp(sources.map(source => `(?:${source})`).join('|'), caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+        return null;
+    }
+}
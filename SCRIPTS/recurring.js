@@ -0,0 +1,175 @@
+/**
+ * recurring.js - Works out when recurring transactions are due 🔁
+ * Rent, phone plans and subscriptions repeat on a schedule. A rule keeps
+ * the transaction details plus the schedule, and this file turns that
+ * schedule into real dates.
+ *
+ * Rule shape:
+ * {id, description, amount, category, type, currency,
+ *  frequency, startDate, endDate, count,
+ *  nextIndex, generated, lastDate, paused, createdAt, updatedAt}
+ */
+
+import { toDateKey, fromDateKey, addDays } from './periods.js';
+
+/**
+ * How often a rule can repeat
+ */
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety limit so a broken rule can never loop forever
+const MAX_STEPS = 5000;
+
+/**
+ * Get the date of the nth occurrence of a rule (0 = the start date)
+ * Monthly and yearly rules keep their day, e.g. the 31st becomes the
+ * last day of shorter months.
+ * @param {Object} rule - Recurring rule
+ * @param {number} n - Occurrence number
+ * @returns {string} Date key "YYYY-MM-DD"
+ */
+export function getOccurrenceDate(rule, n) {
+    if (rule.frequency === 'daily') {
+        return addDays(rule.startDate, n);
+    }
+
+    if (rule.frequency === 'weekly') {
+        return addDays(rule.startDate, n * 7);
+    }
+
+    const start = fromDateKey(rule.startDate);
+    const monthsToAdd = rule.frequency === 'yearly' ? n * 12 : n;
+    const target = new Date(start.getFullYear(), start.getMonth() + monthsToAdd, 1);
+
+    // Clamp the day to the length of the target month
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(start.getDate(), lastDay));
+
+    return toDateKey(target);
+}
+
+/**
+ * Check if a rule has used up its end date or number of occurrences
+ * @param {Object} rule - Recurring rule
+ * @returns {boolean} True if no more transactions will be created
+ */
+export function isRuleFinished(rule) {
+    if (rule.count && rule.generated >= rule.count) {
+        return true;
+    }
+
+    if (rule.endDate && getOccurrenceDate(rule, rule.nextIndex) > rule.endDate) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Get the next date a rule will create a transaction
+ * @param {Object} rule - Recurring rule
+ * @returns {string|null} Date key, or null if the rule is finished
+ */
+export function getNextDate(rule) {
+    if (isRuleFinished(rule)) {
+        return null;
+    }
+
+    return getOccurrenceDate(rule, rule.nextIndex);
+}
+
+/**
+ * Get every date a rule should have created a transaction by today
+ * @param {Object} rule - Recurring rule
+ * @param {string} today - Date key for today
+ * @returns {Array} Date keys, oldest first
+ */
+export function getDueDates(rule, today = toDateKey(new Date())) {
+    if (rule.paused) {
+        return [];
+    }
+
+    const dates = [];
+    let index = rule.nextIndex;
+    let generated = rule.generated;
+
+    while (dates.length < MAX_STEPS) {
+        if (rule.count && generated >= rule.count) break;
+
+        const date = getOccurrenceDate(rule, index);
+        if (date > today) break;
+        if (rule.endDate && date > rule.endDate) break;
+
+        dates.push(date);
+        index++;
+        generated++;
+    }
+
+    return dates;
+}
+
+/**
+ * Find the first occurrence number that falls after a date
+ * Used to skip dates missed while a rule was paused or edited
+ * @param {Object} rule - Recurring rule
+ * @param {string} date - Date key
+ * @returns {number} Occurrence number
+ */
+export function findIndexAfter(rule, date) {
+    let index = 0;
+
+    while (index < MAX_STEPS && getOccurrenceDate(rule, index) <= date) {
+        index++;
+    }
+
+    return index;
+}
+
+/**
+ * Find where a paused rule carries on when it is resumed
+ * Dates missed while paused are skipped, but today's charge still happens.
+ * @param {Object} rule - Recurring rule
+ * @param {string} today - Date key for today
+ * @returns {number} Occurrence number to continue from
+ */
+export function getResumeIndex(rule, today = toDateKey(new Date())) {
+    const yesterday = addDays(today, -1);
+    const skipUntil = rule.lastDate > yesterday ? rule.lastDate : yesterday;
+
+    return Math.max(rule.nextIndex, findIndexAfter(rule, skipUntil));
+}
+
+/**
+ * List charges coming up in the next few days
+ * @param {Array} rules - Recurring rules
+ * @param {string} today - Date key for today
+ * @param {number} days - How far ahead to look
+ * @returns {Array} [{rule, date}] sorted by date
+ */
+export function getUpcomingCharges(rules, today = toDateKey(new Date()), days = 30) {
+    const until = addDays(today, days);
+    const upcoming = [];
+
+    rules
+        .filter(rule => !rule.paused)
+        .forEach(rule => {
+            let index = rule.nextIndex;
+            let generated = rule.generated;
+
+            while (upcoming.length < MAX_STEPS) {
+                if (rule.count && generated >= rule.count) break;
+
+                const date = getOccurrenceDate(rule, index);
+                if (date > until) break;
+                if (rule.endDate && date > rule.endDate) break;
+
+                if (date > today) {
+                    upcoming.push({ rule, date });
+                }
+                index++;
+                generated++;
+            }
+        });
+
+    return upcoming.sort((a, b) => a.date.localeCompare(b.date));
+}
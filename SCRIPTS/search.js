@@ -1,8 +1,10 @@
 /**
- * search.js - Handles regex search and highlighting matches
+ * search.js - Handles regex search, fuzzy search and highlighting matches
  * This lets you find transactions using powerful patterns! 🔍
  */
 
+import { escapeHTML } from './dom.js';
+
 /**
  * Safely compile a regex pattern
  * Returns null if the pattern is invalid
@@ -77,31 +79,271 @@ export function searchTransactions(transactions, regex) {
     });
 }
 
+/**
+ * Split text into the parts a search matched and the parts it didn't
+ * @param {string} text - Text to search
+ * @param {RegExp|Array} regex - Regex pattern to match, or the positions
+ *   of matched characters (from fuzzySearch)
+ * @returns {Array} [{text, marked}] in order, together they make the whole text
+ */
+export function findMatches(text, regex) {
+    const textStr = text === null || text === undefined ? '' : text.toString();
+    if (!regex || !textStr) {
+        return textStr ? [{ text: textStr, marked: false }] : [];
+    }
+    
+    // Which characters are inside a match
+    const marked = new Array(textStr.length).fill(false);
+    
+    if (Array.isArray(regex)) {
+        regex.forEach(index => {
+            if (index >= 0 && index < textStr.length) marked[index] = true;
+        });
+    } else {
+        // matchAll needs the global flag
+        const globalRegex = regex.flags.includes('g') ? new RegExp(regex.source, regex.flags) : new RegExp(regex.source, regex.flags + 'g');
+        for (const match of textStr.matchAll(globalRegex)) {
+            for (let i = match.index; i < match.index + match[0].length; i++) {
+                marked[i] = true;
+            }
+        }
+    }
+    
+    // Join neighbouring characters into parts
+    const parts = [];
+    for (let i = 0; i < textStr.length; i++) {
+        const last = parts[parts.length - 1];
+        if (last && last.marked === marked[i]) {
+            last.text += textStr[i];
+        } else {
+            parts.push({ text: textStr[i], marked: marked[i] });
+        }
+    }
+    
+    return parts;
+}
+
 /**
  * Highlight matching text with <mark> tags
+ * The text is escaped first, so it is safe to put in innerHTML
+ * (to build elements instead, use findMatches with markedText from dom.js)
  * @param {string} text - Text to highlight
- * @param {RegExp} regex - Regex pattern to match
- * @returns {string} Text with <mark> tags around matches
+ * @param {RegExp|Array} regex - Regex pattern to match, or the positions
+ *   of matched characters (from fuzzySearch)
+ * @returns {string} Escaped text with <mark> tags around matches
  */
 export function highlightMatches(text, regex) {
-    // If no regex or no text, return original text
-    if (!regex || !text) {
-        return text;
+    try {
+        return findMatches(text, regex)
+            .map(part => (part.marked ? `<mark>${escapeHTML(part.text)}</mark>` : escapeHTML(part.text)))
+            .join('');
+    } catch (error) {
+        console.error('Error highlighting matches:', error);
+        return escapeHTML(text);
     }
+}
+
+// Fields searched by fuzzy search, and how much a match in each counts
+const FUZZY_FIELDS = {
+    description: 1,
+    category: 0.8
+};
+
+/**
+ * Lowercase text and remove accents, remembering where each character came from
+ * @param {string} text - Original text
+ * @returns {Object} {text, positions} - positions[i] is where text[i] is in the original
+ */
+function normalizeForSearch(text) {
+    let normalized = '';
+    const positions = [];
+    let offset = 0;
     
-    try {
-        // Convert to string if it's a number
-        const textStr = text.toString();
+    for (const char of String(text || '')) {
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
         
-        // Replace matches with <mark> tags
-        // The $& is a special code that means "the matched text"
-        const highlighted = textStr.replace(regex, match => `<mark>${match}</mark>`);
+        for (const part of plain) {
+            normalized += part;
+            positions.push(offset);
+        }
         
-        return highlighted;
-    } catch (error) {
-        console.error('Error highlighting matches:', error);
-        return text;
+        // Position in UTF-16 units, the same as String indexes
+        offset += char.length;
+    }
+    
+    return { text: normalized, positions };
+}
+
+/**
+ * How many typos a search word may have
+ * @param {string} word - Search word
+ * @returns {number} Allowed edits (short words must be exact)
+ */
+function allowedTypos(word) {
+    if (word.length <= 3) return 0;
+    if (word.length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Compare a search word with the start of a word in the text, allowing typos
+ * (an edit distance where the rest of the text word is free,
+ * so "brekf" matches "breakfast")
+ * @param {string} word - Search word
+ * @param {string} target - Word from the text
+ * @returns {Object} {distance, matched} - matched are positions in target that agree
+ */
+function compareWithTypos(word, target) {
+    const rows = word.length + 1;
+    const cols = target.length + 1;
+    const cost = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) cost[0][j] = j;
+    
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const same = word[i - 1] === target[j - 1] ? 0 : 1;
+            cost[i][j] = Math.min(
+                cost[i - 1][j] + 1,        // letter missing from the text
+                cost[i][j - 1] + 1,        // extra letter in the text
+                cost[i - 1][j - 1] + same  // same letter, or a wrong one
+            );
+        }
+    }
+    
+    // Best place to stop in the target (the rest of it doesn't count)
+    let end = 0;
+    for (let j = 1; j < cols; j++) {
+        if (cost[rows - 1][j] < cost[rows - 1][end]) end = j;
+    }
+    
+    // Walk back to find the letters that agree
+    const matched = [];
+    let i = rows - 1;
+    let j = end;
+    while (i > 0 && j > 0) {
+        const same = word[i - 1] === target[j - 1] ? 0 : 1;
+        if (cost[i][j] === cost[i - 1][j - 1] + same) {
+            if (same === 0) matched.push(j - 1);
+            i--;
+            j--;
+        } else if (cost[i][j] === cost[i - 1][j] + 1) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+    
+    return { distance: cost[rows - 1][end], matched: matched.reverse() };
+}
+
+/**
+ * Find one search word in some text
+ * @param {string} word - Normalized search word
+ * @param {Object} field - Result of normalizeForSearch()
+ * @returns {Object|null} {score, positions} with positions in the original text
+ */
+function matchWord(word, field) {
+    const { text, positions } = field;
+    const toOriginal = indexes => indexes.map(index => positions[index]);
+    const range = (start, length) => Array.from({ length }, (_, k) => start + k);
+    
+    // 1. The word appears as it is
+    const found = text.indexOf(word);
+    if (found !== -1) {
+        const atWordStart = found === 0 || /[^a-z0-9]/.test(text[found - 1]);
+        return { score: atWordStart ? 120 : 100, positions: toOriginal(range(found, word.length)) };
+    }
+    
+    // 2. A word in the text is close, apart from a typo or two
+    const maxTypos = allowedTypos(word);
+    let best = null;
+    if (maxTypos > 0) {
+        for (const match of text.matchAll(/[a-z0-9]+/g)) {
+            const { distance, matched } = compareWithTypos(word, match[0]);
+            if (distance <= maxTypos && (!best || distance < best.distance)) {
+                best = { distance, positions: matched.map(k => match.index + k) };
+            }
+        }
+    }
+    if (best) {
+        return { score: 80 - best.distance * 20, positions: toOriginal(best.positions) };
+    }
+    
+    // 3. The letters appear in order, close together ("bkfst" in "breakfast")
+    if (word.length >= 3) {
+        let bestSpread = null;
+        for (let start = text.indexOf(word[0]); start !== -1; start = text.indexOf(word[0], start + 1)) {
+            const picked = [start];
+            for (let k = 1; k < word.length; k++) {
+                const next = text.indexOf(word[k], picked[k - 1] + 1);
+                if (next === -1) break;
+                picked.push(next);
+            }
+            if (picked.length < word.length) break;
+            
+            const spread = picked[picked.length - 1] - start + 1 - word.length;
+            if (spread <= word.length && (!bestSpread || spread < bestSpread.spread)) {
+                bestSpread = { spread, picked };
+            }
+        }
+        if (bestSpread) {
+            return { score: Math.max(10, 40 - bestSpread.spread * 5), positions: toOriginal(bestSpread.picked) };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Search transactions, forgiving typos ("breakfst") and accents ("chez" finds "Chèz")
+ * Every word must be found in the description or category. Results are
+ * ranked: whole words beat parts of words, which beat typos, which beat
+ * letters spread out in order.
+ * @param {Array} transactions - Array of transactions
+ * @param {string} query - What the user typed (e.g., "breakfst chez")
+ * @returns {Array} [{transaction, score, positions: {description, category}}], best first
+ */
+export function fuzzySearch(transactions, query) {
+    const words = normalizeForSearch(query).text.split(/[^a-z0-9]+/).filter(Boolean);
+    if (words.length === 0) {
+        return transactions.map(transaction => ({ transaction, score: 0, positions: {} }));
     }
+    
+    const results = [];
+    transactions.forEach(transaction => {
+        const fields = {};
+        for (const name of Object.keys(FUZZY_FIELDS)) {
+            fields[name] = normalizeForSearch(transaction[name]);
+        }
+        
+        let score = 0;
+        const positions = {};
+        
+        for (const word of words) {
+            let best = null;
+            for (const [name, weight] of Object.entries(FUZZY_FIELDS)) {
+                const match = matchWord(word, fields[name]);
+                if (match && (!best || match.score * weight > best.score)) {
+                    best = { name, score: match.score * weight, positions: match.positions };
+                }
+            }
+            
+            // Every word has to be found somewhere
+            if (!best) return;
+            
+            score += best.score;
+            positions[best.name] = [...(positions[best.name] || []), ...best.positions];
+        }
+        
+        results.push({ transaction, score, positions });
+    });
+    
+    // Best first, newest first when scores tie
+    return results.sort((a, b) => b.score - a.score || b.transaction.date.localeCompare(a.transaction.date));
 }
 
 /**
@@ -112,11 +354,11 @@ export function getSearchExamples() {
     return [
         {
             pattern: 'coffee',
-            description: 'Find any transaction containing "Transport"',
-            example: 'Matches: "Taxi", "Taxi move"'
+            description: 'Find any transaction containing "coffee"',
+            example: 'Matches: "Coffee", "Iced coffee"'
         },
         {
-            pattern: '\\.\\.d{2}\\b',
+            pattern: '\\.\\d{2}\\b',
             description: 'Find amounts with cents (has decimal point)',
             example: 'Matches: "10.50", "9.45" but not "40"'
         },
@@ -132,24 +374,48 @@ export function getSearchExamples() {
         },
         {
             pattern: '2025-09',
-            description: 'Find all transactions from November 2025',
-            example: 'Matches any date like "2025-11-29"'
+            description: 'Find all transactions from September 2025',
+            example: 'Matches any date like "2025-09-29"'
         },
         {
             pattern: '(Food|Books)',
-            description: 'Find Food or Transport categories',
-            example: 'Matches category "Food" or "Transport"'
+            description: 'Find Food or Books categories',
+            example: 'Matches category "Food" or "Books"'
         }
     ];
 }
 
+/**
+ * Narrow transactions by date range, categories and amount range
+ * Empty filters are skipped, so {} keeps everything.
+ * @param {Array} transactions - Array of transactions
+ * @param {Object} filters - {dateFrom, dateTo, categories, amountMin, amountMax}
+ * @param {Function} getAmount - Reads the amount to compare (e.g., converted to one currency)
+ * @returns {Array} Transactions that pass every filter
+ */
+export function filterTransactions(transactions, filters, getAmount = t => t.amount) {
+    const { dateFrom, dateTo, categories = [], amountMin, amountMax } = filters;
+    const min = amountMin === '' || amountMin === undefined ? -Infinity : parseFloat(amountMin);
+    const max = amountMax === '' || amountMax === undefined ? Infinity : parseFloat(amountMax);
+    
+    return transactions.filter(t => {
+        if (dateFrom && t.date < dateFrom) return false;
+        if (dateTo && t.date > dateTo) return false;
+        if (categories.length > 0 && !categories.includes(t.category)) return false;
+        
+        const amount = getAmount(t);
+        return amount >= min && amount <= max;
+    });
+}
+
 /**
  * Sort transactions by different criteria
  * @param {Array} transactions - Array of transactions
  * @param {string} sortBy - Sort criteria (e.g., 'date-desc', 'amount-asc')
+ * @param {Function} getAmount - Reads the amount to compare (e.g., converted to one currency)
  * @returns {Array} Sorted array
  */
-export function sortTransactions(transactions, sortBy) {
+export function sortTransactions(transactions, sortBy, getAmount = t => t.amount) {
     // Make a copy so we don't modify the original
     const sorted = [...transactions];
     
@@ -166,12 +432,12 @@ export function sortTransactions(transactions, sortBy) {
             
         case 'amount-desc':
             // Highest amount first
-            sorted.sort((a, b) => b.amount - a.amount);
+            sorted.sort((a, b) => getAmount(b) - getAmount(a));
             break;
             
         case 'amount-asc':
             // Lowest amount first
-            sorted.sort((a, b) => a.amount - b.amount);
+            sorted.sort((a, b) => getAmount(a) - getAmount(b));
             break;
             
         case 'description-asc':
@@ -184,6 +450,10 @@ export function sortTransactions(transactions, sortBy) {
             sorted.sort((a, b) => b.description.localeCompare(a.description));
             break;
             
+        case 'relevance':
+            // Already ranked by fuzzySearch, keep that order
+            break;
+            
         default:
             // Default: newest first
             sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -206,11 +476,77 @@ export function validateSearchPattern(pattern) {
     // Try to compile it
     try {
         new RegExp(pattern);
-        return { isValid: true, error: '' };
     } catch (error) {
         return {
             isValid: false,
             error: 'Invalid regex pattern. Check your syntax.'
         };
     }
+    
+    // Still allowed, but the search runs with a time limit
+    return { isValid: true, error: '', warning: detectCatastrophicPattern(pattern) };
+}
+
+// A quantifier that repeats something many times: + * {2,} {2,10}
+const REPEAT = '(?:[+*]|\\{\\d+,\\d*\\})';
+
+// Repeats that make a group slow: the ones above, or a fixed count of 10
+// or more like {20}, since each repeat can still split the text differently
+const GROUP_REPEAT = '(?:[+*]|\\{\\d+,\\d*\\}|\\{[1-9]\\d+\\})';
+
+// Inside of a group without nested groups (escaped characters allowed)
+const GROUP_BODY = '(?:[^()\\\\]|\\\\.)*';
+
+// Things that can match almost any character
+const BROAD_STARTS = ['.', '\\w', '\\W', '\\s', '\\S', '\\d', '\\D', '['];
+
+/**
+ * Spot patterns that can take ages on text that almost matches
+ * ("catastrophic backtracking"), like (a+)+$ on "aaaaaaaaaaaaaaaaaaaaaaaa!"
+ * This is a quick check of the pattern's shape, so it can miss some.
+ * @param {string} pattern - Regex pattern
+ * @returns {string} Warning to show, or '' if the pattern looks fine
+ */
+export function detectCatastrophicPattern(pattern) {
+    if (!pattern) return '';
+    
+    // A repeated group with a repeat inside: (a+)+ (\w*)* (x{2,})+ (.*a){20}
+    const nestedRepeat = new RegExp(`\\(${GROUP_BODY}${REPEAT}${GROUP_BODY}\\)${GROUP_REPEAT}`);
+    if (nestedRepeat.test(pattern)) {
+        return 'This pattern repeats a group that repeats inside it, like (a+)+, which can be very slow on long text.';
+    }
+    
+    // A repeated choice whose options can match the same text: (a|a)* (\w|\d)+ (a|aa){25}
+    const repeatedChoice = new RegExp(`\\((${GROUP_BODY}\\|${GROUP_BODY})\\)${GROUP_REPEAT}`, 'g');
+    for (const match of pattern.matchAll(repeatedChoice)) {
+        const options = match[1].replace(/^\?:/, '').split('|');
+        const starts = options.map(option => (option.startsWith('\\') ? option.slice(0, 2) : option.charAt(0)));
+        
+        if (starts.some(start => BROAD_STARTS.includes(start)) || new Set(starts).size < starts.length) {
+            return 'This pattern repeats a choice whose options overlap, like (a|a)*, which can be very slow on long text.';
+        }
+    }
+    
+    return '';
+}
+
+/**
+ * Get the positions of every character a regex matches
+ * (for highlighting results that were found in the search worker)
+ * @param {string} text - Text to search
+ * @param {RegExp} regex - Regex pattern
+ * @returns {Array} Character positions
+ */
+export function getMatchPositions(text, regex) {
+    const positions = [];
+    let index = 0;
+    
+    findMatches(text, regex).forEach(part => {
+        for (let i = 0; i < part.text.length; i++) {
+            if (part.marked) positions.push(index + i);
+        }
+        index += part.text.length;
+    });
+    
+    return positions;
 }
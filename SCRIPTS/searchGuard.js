@@ -0,0 +1,142 @@
+/**
+ * searchGuard.js - Runs regex searches with a time limit ⏱️
+ * A pattern like (a+)+$ can take minutes on text that almost matches, and
+ * once a regex starts it can't be interrupted. So regex searches run in a
+ * Web Worker (searchWorker.js): if one takes too long the worker is stopped
+ * and the search gives an error instead of freezing the tab.
+ */
+
+import { compileRegex, searchTransactions, getMatchPositions } from './search.js';
+import { parseQuery, filterByQuery, getQueryHighlightRegex } from './query.js';
+
+// How long a search may run before it is stopped (milliseconds)
+export const SEARCH_TIME_LIMIT = 1500;
+
+/**
+ * Search transactions and find what to highlight in each match
+ * Runs inside the worker (or right here if workers aren't available).
+ * @param {Array} transactions - Transactions, with amountInBase for amount: terms
+ * @param {Object} options - {text, mode ('regex' or 'query'), caseSensitive}
+ * @returns {Array} [{id, highlights}] for each match in order, where highlights
+ *   has the matched character positions of each field (see findMatches)
+ */
+export function runSearch(transactions, { text, mode, caseSensitive }) {
+    let matches;
+    let regexes;
+
+    if (mode === 'regex') {
+        const regex = compileRegex(text, caseSensitive);
+        matches = searchTransactions(transactions, regex);
+        regexes = { description: regex, amount: regex, category: regex, date: regex };
+    } else {
+        const { query } = parseQuery(text, { caseSensitive });
+        matches = filterByQuery(transactions, query, t => t.amountInBase);
+        regexes = {
+            description: getQueryHighlightRegex(query, 'description', caseSensitive),
+            category: getQueryHighlightRegex(query, 'category', caseSensitive)
+        };
+    }
+
+    return matches.map(t => {
+        const highlights = {};
+        Object.entries(regexes).forEach(([field, regex]) => {
+            if (regex) highlights[field] = getMatchPositions(String(t[field]), regex);
+        });
+        return { id: t.id, highlights };
+    });
+}
+
+let worker = null;
+
+// The search the worker is busy with: {id, resolve, reject, timer}
+let pending = null;
+let nextSearchId = 1;
+
+function stopWorker() {
+    if (worker) {
+        worker.terminate();
+        worker = null;
+    }
+}
+
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(new URL('./searchWorker.js', import.meta.url), { type: 'module' });
+
+    worker.addEventListener('message', event => {
+        if (!pending || event.data.id !== pending.id) return;
+
+        const { resolve, reject, timer } = pending;
+        clearTimeout(timer);
+        pending = null;
+
+        if (event.data.error) {
+            reject(new Error(event.data.error));
+        } else {
+            resolve(event.data.results);
+        }
+    });
+
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        stopWorker();
+
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('Search stopped unexpectedly. Please try again.'));
+            pending = null;
+        }
+    });
+
+    return worker;
+}
+
+/**
+ * Run a search with a time limit
+ * Starting a new search cancels the one still running.
+ * @param {Array} transactions - Transactions, with amountInBase
+ * @param {Object} options - {text, mode, caseSensitive}
+ * @returns {Promise<Array|null>} Results of runSearch(), or null if a newer
+ *   search replaced this one; rejects if it took longer than SEARCH_TIME_LIMIT
+ */
+export function searchWithTimeLimit(transactions, options) {
+    cancelSearch();
+
+    // No workers (very old browser): search right away, without a time limit
+    if (typeof Worker === 'undefined') {
+        try {
+            return Promise.resolve(runSearch(transactions, options));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = nextSearchId++;
+
+        const timer = setTimeout(() => {
+            // Stopping the worker is the only way to stop a running regex
+            stopWorker();
+            pending = null;
+            reject(new Error(`This search took longer than ${SEARCH_TIME_LIMIT / 1000} seconds and was stopped. Try a simpler pattern.`));
+        }, SEARCH_TIME_LIMIT);
+
+        pending = { id, resolve, reject, timer };
+        getWorker().postMessage({ id, transactions, options });
+    });
+}
+
+/**
+ * Cancel the search that is still running (if any)
+ */
+export function cancelSearch() {
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pending.resolve(null);
+    pending = null;
+
+    // The worker may be stuck in the old regex, so start a fresh one next time
+    stopWorker();
+}
@@ -0,0 +1,17 @@
+/**
+ * searchWorker.js - Runs searches away from the page 🧵
+ * Started by searchGuard.js, which stops it if a search takes too long.
+ * Gets {id, transactions, options} and replies with {id, results} or {id, error}.
+ */
+
+import { runSearch } from './searchGuard.js';
+
+self.addEventListener('message', event => {
+    const { id, transactions, options } = event.data;
+
+    try {
+        self.postMessage({ id, results: runSearch(transactions, options) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
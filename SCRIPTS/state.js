@@ -3,15 +3,63 @@
  * This keeps track of all transactions and settings
  */
 
-import { loadTransactions, saveTransactions, loadSettings, saveSettings } from './storage.js';
+import {
+    loadTransactions,
+    saveTransactions,
+    loadSettings,
+    saveSettings,
+    loadRecurringRules,
+    saveRecurringRules,
+    loadFilters,
+    saveFilters,
+    loadSchemaVersion,
+    saveSchemaVersion,
+    blockSaving,
+    initStorage,
+    onExternalChange,
+    reloadTransactions,
+    reloadMeta
+} from './storage.js';
+import { CURRENT_SCHEMA_VERSION, migrateData } from './migrations.js';
+import { convertAmount } from './currency.js';
+import { DEFAULT_BUDGET_PERIOD, getPeriodRange, getPreviousPeriodRange, applyRollover, toDateKey, countDays } from './periods.js';
+import { getDueDates, findIndexAfter, getResumeIndex, getUpcomingCharges } from './recurring.js';
+import { forecastSpending } from './forecast.js';
+import { DEFAULT_CATEGORIES, findCategory, createCategory } from './categories.js';
+import { mergeByUpdatedAt } from './merge.js';
+import { generateId, giveUniqueIds } from './ids.js';
+
+/**
+ * Transaction list filters when nothing is saved yet
+ */
+export const DEFAULT_FILTERS = {
+    searchPattern: '',
+    searchMode: 'query', // 'query' (see query.js) or 'regex'
+    sortBy: 'date-desc',
+    caseSensitive: false,
+    dateRange: '', // A quick range from periods.js (kept up to date), 'custom' or '' for all dates
+    dateFrom: '',
+    dateTo: '',
+    categories: [], // Empty means every category
+    amountMin: '',
+    amountMax: ''
+};
 
 /**
  * Application State - This is where we keep everything!
  */
 let state = {
     transactions: [],
+    recurringRules: [], // Rent, subscriptions... see recurring.js
     settings: {
         budgetCap: 500.00,
+        baseCurrency: 'USD', // Currency used for totals and the budget
+        categoryBudgets: {}, // Optional cap per category, e.g. {Food: 100}
+        categoryRules: [], // Keywords that suggest a category: {keyword, category}
+        budgetPeriod: { ...DEFAULT_BUDGET_PERIOD }, // Weekly, monthly or custom cycle
+        budgetRollover: false, // Carry unspent money into the next period
+        trashRetentionDays: 30, // Deleted transactions are purged after this many days
+        categories: DEFAULT_CATEGORIES.map(c => ({ ...c })), // See categories.js
         currencies: {
             USD: 1.00,
             EUR: 0.85,
@@ -19,42 +67,184 @@ let state = {
         }
     },
     currentEditId: null, // Which transaction is being edited (if any)
-    filters: {
-        searchPattern: '',
-        sortBy: 'date-desc',
-        caseSensitive: false
-    }
+    storageError: '', // Set if the saved data can't be used safely (see migrations.js)
+    filters: { ...DEFAULT_FILTERS },
+    filterPresets: [] // Saved searches: {name, ...filters}
+};
+
+// Undo/redo history for transaction changes (kept in memory, so it
+// starts empty on each page load). Each entry is {label, snapshot}, see takeSnapshot().
+// Recurring rules and categories are in the snapshot too, since a change to them
+// (a rename, a rule charging its due dates) also changes transactions.
+const MAX_HISTORY = 50;
+const history = {
+    undo: [],
+    redo: []
 };
 
+// Functions to call when another tab changed the data
+const changeListeners = [];
+
 /**
  * Initialize the state
  */
 export function initializeState() {
-    state.transactions = loadTransactions();
-    state.settings = loadSettings();
+    const version = loadSchemaVersion();
+    const migration = migrateData({
+        transactions: loadTransactions(),
+        settings: loadSettings(),
+        recurringRules: loadRecurringRules()
+    }, version);
+    const data = migration.data;
+    
+    state.transactions = data.transactions;
+    // Keep defaults for settings that older saves don't have yet
+    state.settings = {
+        ...state.settings,
+        ...data.settings
+    };
+    state.recurringRules = data.recurringRules;
+    
+    if (!migration.isValid) {
+        // Show what we can, but never overwrite newer data
+        state.storageError = migration.error;
+        blockSaving();
+    } else {
+        if (version !== CURRENT_SCHEMA_VERSION) {
+            // Save the upgraded data so we only migrate once
+            saveTransactions(state.transactions);
+            saveSettings(state.settings);
+            saveRecurringRules(state.recurringRules);
+        }
+        saveSchemaVersion(CURRENT_SCHEMA_VERSION);
+    }
+    
+    // Pick up the search from last time
+    const savedFilters = loadFilters();
+    state.filters = {
+        ...state.filters,
+        ...savedFilters.last
+    };
+    state.filterPresets = savedFilters.presets;
+    
+    // Make sure every category in use is in the category list
+    syncCategoriesWithTransactions();
+    
+    // Create any recurring transactions that came due since the last visit
+    materializeRecurring();
+    
+    // Empty old items from the trash
+    purgeExpiredTrash();
+    
     console.log('State initialized:', state);
 }
 
 /**
- * Get all transactions
+ * Get told when the data changed in another tab (so the page can redraw)
+ * @param {Function} listener - Called with what changed ('transactions', 'settings', 'recurring' or 'all')
+ */
+export function onStateChanged(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Bring in changes another tab saved
+ * Transactions are merged by updatedAt, so edits made in both tabs at
+ * once are kept; settings and recurring rules are small, so the latest save wins.
+ * @param {Object} change - {what, removedIds} from storage.js
+ */
+async function handleExternalChange({ what, removedIds = [] }) {
+    try {
+        if (what === 'transactions' || what === 'all') {
+            const stored = await reloadTransactions();
+            state.transactions = mergeByUpdatedAt(state.transactions, stored, removedIds);
+            
+            // Writes back only the records where this tab had the newer copy
+            saveTransactions(state.transactions);
+        }
+        
+        if (what !== 'transactions') {
+            await reloadMeta();
+            state.settings = {
+                ...state.settings,
+                ...loadSettings()
+            };
+            state.recurringRules = loadRecurringRules();
+        }
+        
+        // Undoing now could bring back what the other tab changed
+        history.undo = [];
+        history.redo = [];
+        
+        console.log('Synced change from another tab:', what);
+        changeListeners.forEach(listener => listener(what));
+    } catch (error) {
+        console.error('Error syncing change from another tab:', error);
+    }
+}
+
+/**
+ * Get the problem with the saved data, if any
+ * @returns {string} Error message, or '' if everything is fine
+ */
+export function getStorageError() {
+    return state.storageError;
+}
+
+/**
+ * Get all transactions (not the ones in the trash)
  * @returns {Array} Array of all transactions
  */
 export function getTransactions() {
-    return [...state.transactions]; // Return a copy
+    return state.transactions.filter(t => !t.deletedAt); // Return a copy
 }
 
 /**
- * Get a single transaction by ID
+ * Get a single transaction by ID (not from the trash)
  * @param {string} id - Transaction ID
  * @returns {Object|null} Transaction object or null
  */
 export function getTransactionById(id) {
-    return state.transactions.find(t => t.id === id) || null;
+    return state.transactions.find(t => t.id === id && !t.deletedAt) || null;
+}
+
+/**
+ * Get the type of a transaction
+ * Transactions saved before types existed are all expenses
+ * @param {Object} transaction - Transaction object
+ * @returns {string} 'income', 'expense' or 'transfer'
+ */
+export function getTransactionType(transaction) {
+    return transaction.type || 'expense';
+}
+
+/**
+ * Get the currency a transaction was recorded in
+ * Transactions saved before currencies existed are all USD
+ * @param {Object} transaction - Transaction object
+ * @returns {string} Currency code like 'USD'
+ */
+export function getTransactionCurrency(transaction) {
+    return transaction.currency || 'USD';
+}
+
+/**
+ * Get a transaction's amount converted to the base (display) currency
+ * @param {Object} transaction - Transaction object
+ * @returns {number} Amount in the base currency
+ */
+export function getAmountInBase(transaction) {
+    return convertAmount(
+        transaction.amount,
+        getTransactionCurrency(transaction),
+        state.settings.baseCurrency,
+        state.settings.currencies
+    );
 }
 
 /**
  * Add a new transaction
- * @param {Object} transactionData - {description, amount, category, date}
+ * @param {Object} transactionData - {description, amount, category, date, type, currency}
  * @returns {Object} The newly created transaction
  */
 export function addTransaction(transactionData) {
@@ -71,11 +261,14 @@ export function addTransaction(transactionData) {
         amount: parseFloat(transactionData.amount),
         category: transactionData.category,
         date: transactionData.date,
+        type: transactionData.type || 'expense',
+        currency: transactionData.currency || state.settings.baseCurrency,
         createdAt: now,
         updatedAt: now
     };
     
     // Add to state
+    recordHistory(`Add "${transaction.description}"`);
     state.transactions.push(transaction);
     
     // Save to localStorage
@@ -85,6 +278,36 @@ export function addTransaction(transactionData) {
     return transaction;
 }
 
+/**
+ * Add many transactions at once (e.g. from a CSV import)
+ * Saves only once, and adds any new categories to the category list
+ * @param {Array} list - Array of {description, amount, category, date, type, currency}
+ * @returns {Array} The newly created transactions
+ */
+export function addTransactions(list) {
+    const now = new Date().toISOString();
+    
+    const created = list.map(transactionData => ({
+        id: generateId(),
+        description: transactionData.description.trim(),
+        amount: parseFloat(transactionData.amount),
+        category: transactionData.category,
+        date: transactionData.date,
+        type: transactionData.type || 'expense',
+        currency: transactionData.currency || state.settings.baseCurrency,
+        createdAt: now,
+        updatedAt: now
+    }));
+    
+    recordHistory(`Import ${created.length} transactions`);
+    state.transactions.push(...created);
+    syncCategoriesWithTransactions();
+    saveTransactions(state.transactions);
+    
+    console.log('Transactions added:', created.length);
+    return created;
+}
+
 /**
  * Update transaction
  * @param {string} id - Transaction ID
@@ -92,7 +315,7 @@ export function addTransaction(transactionData) {
  * @returns {Object|null} Updated transaction or null if not found
  */
 export function updateTransaction(id, updates) {
-    const index = state.transactions.findIndex(t => t.id === id);
+    const index = state.transactions.findIndex(t => t.id === id && !t.deletedAt);
     
     if (index === -1) {
         console.error('Transaction not found:', id);
@@ -100,12 +323,15 @@ export function updateTransaction(id, updates) {
     }
     
     // Update the transaction
+    recordHistory(`Edit "${state.transactions[index].description}"`);
     state.transactions[index] = {
         ...state.transactions[index],
         description: updates.description.trim(),
         amount: parseFloat(updates.amount),
         category: updates.category,
         date: updates.date,
+        type: updates.type || getTransactionType(state.transactions[index]),
+        currency: updates.currency || getTransactionCurrency(state.transactions[index]),
         updatedAt: new Date().toISOString()
     };
     
@@ -117,28 +343,493 @@ export function updateTransaction(id, updates) {
 }
 
 /**
- * Delete a transaction
+ * Delete a transaction (moves it to the trash)
  * @param {string} id - Transaction ID
  * @returns {boolean} True if deleted, false if not found
  */
 export function deleteTransaction(id) {
-    const index = state.transactions.findIndex(t => t.id === id);
+    const index = state.transactions.findIndex(t => t.id === id && !t.deletedAt);
     
     if (index === -1) {
         console.error('Transaction not found, try again!:', id);
         return false;
     }
     
-    // Remove from array
-    state.transactions.splice(index, 1);
+    // Mark as deleted, it stays in the trash until purged
+    recordHistory(`Delete "${state.transactions[index].description}"`);
+    const now = new Date().toISOString();
+    state.transactions[index] = {
+        ...state.transactions[index],
+        deletedAt: now,
+        updatedAt: now
+    };
     
     // Save to localStorage
     saveTransactions(state.transactions);
     
-    console.log('Transaction deleted successfully!:', id);
+    console.log('Transaction moved to trash:', id);
     return true;
 }
 
+/**
+ * Get the transactions in the trash
+ * @returns {Array} Deleted transactions, most recently deleted first
+ */
+export function getDeletedTransactions() {
+    return state.transactions
+        .filter(t => t.deletedAt)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Take a transaction out of the trash
+ * @param {string} id - Transaction ID
+ * @returns {boolean} True if restored, false if not in the trash
+ */
+export function restoreTransaction(id) {
+    const index = state.transactions.findIndex(t => t.id === id && t.deletedAt);
+    
+    if (index === -1) {
+        console.error('Transaction not in trash:', id);
+        return false;
+    }
+    
+    recordHistory(`Restore "${state.transactions[index].description}"`);
+    const { deletedAt, ...transaction } = state.transactions[index];
+    state.transactions[index] = {
+        ...transaction,
+        updatedAt: new Date().toISOString()
+    };
+    
+    saveTransactions(state.transactions);
+    
+    console.log('Transaction restored:', id);
+    return true;
+}
+
+/**
+ * Delete transactions from the trash for good
+ * @param {Array} ids - Transaction IDs (leave out to empty the whole trash)
+ * @returns {number} Number of transactions purged
+ */
+export function purgeTransactions(ids = null) {
+    const before = state.transactions.length;
+    const shouldPurge = t => t.deletedAt && (!ids || ids.includes(t.id));
+    
+    if (!state.transactions.some(shouldPurge)) {
+        return 0;
+    }
+    
+    recordHistory(ids && ids.length === 1 ? 'Delete forever' : 'Empty trash');
+    state.transactions = state.transactions.filter(t => !shouldPurge(t));
+    saveTransactions(state.transactions);
+    
+    const purged = before - state.transactions.length;
+    console.log('Transactions purged:', purged);
+    return purged;
+}
+
+/**
+ * Purge transactions that have been in the trash longer than the setting allows
+ * A setting of 0 keeps them until the trash is emptied by hand
+ */
+function purgeExpiredTrash() {
+    const days = Number(state.settings.trashRetentionDays);
+    if (!days) return;
+    
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const before = state.transactions.length;
+    state.transactions = state.transactions.filter(t => !t.deletedAt || t.deletedAt > cutoff);
+    
+    if (state.transactions.length !== before) {
+        saveTransactions(state.transactions);
+        console.log('Expired trash purged:', before - state.transactions.length);
+    }
+}
+
+/**
+ * Get all recurring rules
+ * @returns {Array} Array of recurring rules
+ */
+export function getRecurringRules() {
+    return [...state.recurringRules]; // Return a copy
+}
+
+/**
+ * Get a single recurring rule by ID
+ * @param {string} id - Rule ID
+ * @returns {Object|null} Rule object or null
+ */
+export function getRecurringRuleById(id) {
+    return state.recurringRules.find(r => r.id === id) || null;
+}
+
+/**
+ * Add a new recurring rule
+ * Transactions that are already due are created straight away
+ * @param {Object} ruleData - Transaction fields plus {frequency, startDate, endDate, count}
+ * @returns {Object} The newly created rule
+ */
+export function addRecurringRule(ruleData) {
+    const now = new Date().toISOString();
+    
+    const rule = {
+        id: generateId('rec'),
+        description: ruleData.description.trim(),
+        amount: parseFloat(ruleData.amount),
+        category: ruleData.category,
+        type: ruleData.type || 'expense',
+        currency: ruleData.currency || state.settings.baseCurrency,
+        frequency: ruleData.frequency,
+        startDate: ruleData.startDate,
+        endDate: ruleData.endDate || '',
+        count: ruleData.count ? parseInt(ruleData.count, 10) : null,
+        nextIndex: 0, // Which occurrence comes next
+        generated: 0, // How many transactions were created so far
+        lastDate: '', // Date of the last created transaction
+        paused: false,
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    // Charges already due are created below, undo takes them away with the rule
+    recordHistory(`Add recurring "${rule.description}"`);
+    state.recurringRules.push(rule);
+    saveRecurringRules(state.recurringRules);
+    materializeRecurring();
+    
+    console.log('Recurring rule added:', rule);
+    return rule;
+}
+
+/**
+ * Update a recurring rule
+ * Dates already charged are never charged again
+ * @param {string} id - Rule ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated rule or null if not found
+ */
+export function updateRecurringRule(id, updates) {
+    const index = state.recurringRules.findIndex(r => r.id === id);
+    
+    if (index === -1) {
+        console.error('Recurring rule not found:', id);
+        return null;
+    }
+    
+    const rule = {
+        ...state.recurringRules[index],
+        description: updates.description.trim(),
+        amount: parseFloat(updates.amount),
+        category: updates.category,
+        type: updates.type || state.recurringRules[index].type,
+        currency: updates.currency || state.recurringRules[index].currency,
+        frequency: updates.frequency,
+        startDate: updates.startDate,
+        endDate: updates.endDate || '',
+        count: updates.count ? parseInt(updates.count, 10) : null,
+        updatedAt: new Date().toISOString()
+    };
+    
+    // The schedule may have changed, so continue after the last charge
+    rule.nextIndex = rule.lastDate ? findIndexAfter(rule, rule.lastDate) : 0;
+    
+    recordHistory(`Edit recurring "${rule.description}"`);
+    state.recurringRules[index] = rule;
+    saveRecurringRules(state.recurringRules);
+    materializeRecurring();
+    
+    console.log('Recurring rule updated:', rule);
+    return rule;
+}
+
+/**
+ * Pause or resume a recurring rule
+ * Dates missed while paused are skipped, not charged on resume
+ * @param {string} id - Rule ID
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Object|null} Updated rule or null if not found
+ */
+export function setRecurringRulePaused(id, paused) {
+    const rule = state.recurringRules.find(r => r.id === id);
+    
+    if (!rule) {
+        console.error('Recurring rule not found:', id);
+        return null;
+    }
+    
+    recordHistory(`${paused ? 'Pause' : 'Resume'} recurring "${rule.description}"`);
+    rule.paused = paused;
+    rule.updatedAt = new Date().toISOString();
+    
+    if (!paused) {
+        rule.nextIndex = getResumeIndex(rule);
+    }
+    
+    saveRecurringRules(state.recurringRules);
+    materializeRecurring();
+    return rule;
+}
+
+/**
+ * Delete a recurring rule
+ * Transactions it already created are kept
+ * @param {string} id - Rule ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+export function deleteRecurringRule(id) {
+    const index = state.recurringRules.findIndex(r => r.id === id);
+    
+    if (index === -1) {
+        console.error('Recurring rule not found:', id);
+        return false;
+    }
+    
+    recordHistory(`Delete recurring "${state.recurringRules[index].description}"`);
+    state.recurringRules.splice(index, 1);
+    saveRecurringRules(state.recurringRules);
+    
+    console.log('Recurring rule deleted:', id);
+    return true;
+}
+
+/**
+ * Turn due recurring rules into real transactions
+ * @returns {number} Number of transactions created
+ */
+export function materializeRecurring() {
+    const now = new Date().toISOString();
+    let created = 0;
+    
+    state.recurringRules.forEach(rule => {
+        getDueDates(rule).forEach(date => {
+            state.transactions.push({
+                id: generateId(),
+                description: rule.description,
+                amount: rule.amount,
+                category: rule.category,
+                date,
+                type: rule.type,
+                currency: rule.currency,
+                recurringId: rule.id,
+                createdAt: now,
+                updatedAt: now
+            });
+            
+            rule.nextIndex++;
+            rule.generated++;
+            rule.lastDate = date;
+            created++;
+        });
+    });
+    
+    if (created > 0) {
+        saveTransactions(state.transactions);
+        saveRecurringRules(state.recurringRules);
+        console.log('Recurring transactions created:', created);
+    }
+    
+    return created;
+}
+
+/**
+ * Get the category list
+ * @param {boolean} includeArchived - Also return archived categories
+ * @returns {Array} Array of {name, color, icon, archived}
+ */
+export function getCategories(includeArchived = false) {
+    return state.settings.categories
+        .filter(c => includeArchived || !c.archived)
+        .map(c => ({ ...c }));
+}
+
+/**
+ * Add a category to the list
+ * @param {Object} categoryData - {name, color, icon}
+ * @returns {Object|null} The new category, or null if the name is taken
+ */
+export function addCategory(categoryData) {
+    if (findCategory(state.settings.categories, categoryData.name)) {
+        console.error('Category already exists:', categoryData.name);
+        return null;
+    }
+    
+    const category = {
+        ...createCategory(categoryData.name.trim(), state.settings.categories.length),
+        ...(categoryData.color ? { color: categoryData.color } : {}),
+        ...(categoryData.icon ? { icon: categoryData.icon } : {})
+    };
+    
+    recordHistory(`Add category "${category.name}"`);
+    updateSettings({ categories: [...state.settings.categories, category] });
+    
+    console.log('Category added:', category);
+    return category;
+}
+
+/**
+ * Change a category's color and icon
+ * @param {string} name - Category name
+ * @param {Object} style - {color, icon}
+ * @returns {Object|null} Updated category or null if not found
+ */
+export function updateCategoryStyle(name, style) {
+    const existing = findCategory(state.settings.categories, name);
+    if (!existing) {
+        console.error('Category not found:', name);
+        return null;
+    }
+    
+    const updated = { ...existing, ...style };
+    if (JSON.stringify(updated) === JSON.stringify(existing)) {
+        return updated;
+    }
+    
+    const action = style.archived === undefined ? 'Edit' : (style.archived ? 'Archive' : 'Restore');
+    recordHistory(`${action} category "${existing.name}"`);
+    updateSettings({
+        categories: state.settings.categories.map(c => (c === existing ? updated : c))
+    });
+    
+    return updated;
+}
+
+/**
+ * Archive or restore a category
+ * Archived categories stay on old transactions but can't be picked for new ones
+ * @param {string} name - Category name
+ * @param {boolean} archived - True to archive
+ * @returns {Object|null} Updated category or null if not found
+ */
+export function setCategoryArchived(name, archived) {
+    return updateCategoryStyle(name, { archived });
+}
+
+/**
+ * Rename a category everywhere it is used
+ * (transactions, recurring rules and category budgets)
+ * @param {string} oldName - Current name
+ * @param {string} newName - New name
+ * @param {Object} style - {color, icon} to change at the same time (optional)
+ * @returns {number} Number of transactions updated, or -1 if not possible
+ */
+export function renameCategory(oldName, newName, style = {}) {
+    const existing = findCategory(state.settings.categories, oldName);
+    const clash = findCategory(state.settings.categories, newName);
+    
+    if (!existing || (clash && clash !== existing)) {
+        console.error('Cannot rename category:', oldName, newName);
+        return -1;
+    }
+    
+    const categories = state.settings.categories.map(c => (
+        c === existing ? { ...c, ...style, name: newName } : c
+    ));
+    
+    return moveCategory(existing.name, newName, categories, `Rename category "${existing.name}" to "${newName}"`);
+}
+
+/**
+ * Merge one category into another
+ * Everything in the first category moves to the second, then the first is removed
+ * @param {string} fromName - Category to merge away
+ * @param {string} intoName - Category that keeps going
+ * @returns {number} Number of transactions moved, or -1 if not possible
+ */
+export function mergeCategories(fromName, intoName) {
+    const from = findCategory(state.settings.categories, fromName);
+    const into = findCategory(state.settings.categories, intoName);
+    
+    if (!from || !into || from === into) {
+        console.error('Cannot merge categories:', fromName, intoName);
+        return -1;
+    }
+    
+    const categories = state.settings.categories.filter(c => c !== from);
+    
+    return moveCategory(from.name, into.name, categories, `Merge category "${from.name}" into "${into.name}"`);
+}
+
+/**
+ * Move everything from one category name to another
+ * @param {string} fromName - Old name
+ * @param {string} toName - New name
+ * @param {Array} categories - Category list to save
+ * @param {string} label - What the change does, for undo
+ * @returns {number} Number of transactions updated
+ */
+function moveCategory(fromName, toName, categories, label) {
+    const now = new Date().toISOString();
+    let moved = 0;
+    
+    recordHistory(label);
+    
+    state.transactions.forEach(t => {
+        if (t.category === fromName) {
+            t.category = toName;
+            t.updatedAt = now;
+            moved++;
+        }
+    });
+    
+    state.recurringRules.forEach(rule => {
+        if (rule.category === fromName) {
+            rule.category = toName;
+            rule.updatedAt = now;
+        }
+    });
+    
+    // Keep the budget cap (the target's cap wins when merging)
+    const categoryBudgets = { ...state.settings.categoryBudgets };
+    if (categoryBudgets[fromName] !== undefined) {
+        if (categoryBudgets[toName] === undefined) {
+            categoryBudgets[toName] = categoryBudgets[fromName];
+        }
+        delete categoryBudgets[fromName];
+    }
+    
+    // Keyword rules follow the category too
+    const categoryRules = (state.settings.categoryRules || []).map(rule => (
+        rule.category === fromName ? { ...rule, category: toName } : rule
+    ));
+    
+    saveTransactions(state.transactions);
+    saveRecurringRules(state.recurringRules);
+    updateSettings({ categories, categoryBudgets, categoryRules });
+    
+    console.log(`Category moved: ${fromName} -> ${toName} (${moved} transactions)`);
+    return moved;
+}
+
+/**
+ * Make sure every category used by a transaction is in the category list
+ * Also fixes names that only differ in capitals (e.g. "furniture")
+ */
+function syncCategoriesWithTransactions() {
+    const categories = [...state.settings.categories];
+    let transactionsChanged = false;
+    
+    state.transactions.forEach(t => {
+        if (!t.category) return;
+        
+        const known = findCategory(categories, t.category);
+        if (!known) {
+            categories.push(createCategory(t.category, categories.length));
+        } else if (known.name !== t.category) {
+            t.category = known.name;
+            transactionsChanged = true;
+        }
+    });
+    
+    if (categories.length !== state.settings.categories.length) {
+        updateSettings({ categories });
+    }
+    
+    if (transactionsChanged) {
+        saveTransactions(state.transactions);
+    }
+}
+
 /**
  * Get settings
  * @returns {Object} Settings object
@@ -165,6 +856,112 @@ export function updateSettings(newSettings) {
     return state.settings;
 }
 
+/**
+ * Change the base (display) currency
+ * The budget cap is converted too, so the limit stays the same amount of money
+ * @param {string} currency - New base currency code
+ * @returns {Object} Updated settings
+ */
+export function setBaseCurrency(currency) {
+    const { baseCurrency, currencies, budgetCap, categoryBudgets } = state.settings;
+    
+    const convert = amount => {
+        const converted = convertAmount(amount, baseCurrency, currency, currencies);
+        return Math.round(converted * 100) / 100;
+    };
+    
+    const convertedCategoryBudgets = {};
+    for (const [category, cap] of Object.entries(categoryBudgets || {})) {
+        convertedCategoryBudgets[category] = convert(cap);
+    }
+    
+    return updateSettings({
+        baseCurrency: currency,
+        budgetCap: convert(budgetCap),
+        categoryBudgets: convertedCategoryBudgets
+    });
+}
+
+/**
+ * Set the budget cap for one category
+ * @param {string} category - Category name (e.g., 'Food')
+ * @param {number} cap - Cap in the base currency
+ * @returns {Object} Updated settings
+ */
+export function setCategoryBudget(category, cap) {
+    recordHistory(`Set budget for ${category}`);
+    return updateSettings({
+        categoryBudgets: {
+            ...state.settings.categoryBudgets,
+            [category]: cap
+        }
+    });
+}
+
+/**
+ * Remove the budget cap for one category
+ * @param {string} category - Category name
+ * @returns {Object} Updated settings
+ */
+export function removeCategoryBudget(category) {
+    const categoryBudgets = { ...state.settings.categoryBudgets };
+    delete categoryBudgets[category];
+    
+    recordHistory(`Remove budget for ${category}`);
+    return updateSettings({ categoryBudgets });
+}
+
+/**
+ * Get the keyword rules for category suggestions
+ * @returns {Array} [{keyword, category}] sorted by keyword
+ */
+export function getCategoryRules() {
+    return (state.settings.categoryRules || []).map(rule => ({ ...rule }));
+}
+
+/**
+ * Add a keyword rule, or change an existing one
+ * Keywords are unique (capitals don't matter), so saving "Bosco" replaces "bosco".
+ * @param {string} keyword - Word(s) to look for in descriptions
+ * @param {string} category - Category to suggest
+ * @param {string} oldKeyword - Keyword of the rule being edited (if it was renamed)
+ * @returns {Object} Updated settings
+ */
+export function saveCategoryRule(keyword, category, oldKeyword = '') {
+    const replaced = [keyword.toLowerCase(), oldKeyword.toLowerCase()];
+    const categoryRules = getCategoryRules()
+        .filter(rule => !replaced.includes(rule.keyword.toLowerCase()))
+        .concat({ keyword, category })
+        .sort((a, b) => a.keyword.localeCompare(b.keyword));
+    
+    recordHistory(`Save rule "${keyword}"`);
+    return updateSettings({ categoryRules });
+}
+
+/**
+ * Remove a keyword rule
+ * @param {string} keyword - Keyword of the rule
+ * @returns {Object} Updated settings
+ */
+export function deleteCategoryRule(keyword) {
+    const categoryRules = getCategoryRules()
+        .filter(rule => rule.keyword.toLowerCase() !== keyword.toLowerCase());
+    
+    recordHistory(`Delete rule "${keyword}"`);
+    return updateSettings({ categoryRules });
+}
+
+/**
+ * Get the warning level for how much of a budget is used
+ * @param {number} percentUsed - Percentage of the cap already spent
+ * @returns {string} 'danger' (100%+), 'warning' (80%+) or 'ok'
+ */
+export function getBudgetLevel(percentUsed) {
+    if (percentUsed >= 100) return 'danger';
+    if (percentUsed >= 80) return 'warning';
+    return 'ok';
+}
+
 /**
  * Set current edit ID (when editing a transaction)
  * @param {string|null} id - Transaction ID or null to clear
@@ -183,6 +980,7 @@ export function getCurrentEditId() {
 
 /**
  * Update filters (search pattern, sort order)
+ * They are saved, so the same search is back on the next visit
  * @param {Object} filters - Filter updates
  */
 export function updateFilters(filters) {
@@ -190,6 +988,8 @@ export function updateFilters(filters) {
         ...state.filters,
         ...filters
     };
+    
+    saveFilters({ last: state.filters, presets: state.filterPresets });
 }
 
 /**
@@ -200,26 +1000,102 @@ export function getFilters() {
     return { ...state.filters };
 }
 
+/**
+ * Get the saved searches
+ * @returns {Array} Array of {name, ...filters}
+ */
+export function getFilterPresets() {
+    return state.filterPresets.map(p => ({ ...p }));
+}
+
+/**
+ * Save the current filters under a name
+ * A preset with the same name (any capitals) is replaced
+ * @param {string} name - Preset name
+ * @returns {Object} The saved preset
+ */
+export function saveFilterPreset(name) {
+    const preset = { name, ...state.filters };
+    const lower = name.toLowerCase();
+    
+    state.filterPresets = [
+        ...state.filterPresets.filter(p => p.name.toLowerCase() !== lower),
+        preset
+    ].sort((a, b) => a.name.localeCompare(b.name));
+    
+    saveFilters({ last: state.filters, presets: state.filterPresets });
+    
+    console.log('Filter preset saved:', preset);
+    return { ...preset };
+}
+
+/**
+ * Remove a saved search
+ * @param {string} name - Preset name
+ * @returns {boolean} True if it was removed
+ */
+export function deleteFilterPreset(name) {
+    const remaining = state.filterPresets.filter(p => p.name !== name);
+    if (remaining.length === state.filterPresets.length) {
+        return false;
+    }
+    
+    state.filterPresets = remaining;
+    saveFilters({ last: state.filters, presets: state.filterPresets });
+    return true;
+}
+
+/**
+ * Add up a list of transactions (e.g., the filtered list)
+ * @param {Array} transactions - Transactions to add up
+ * @returns {Object} {currency, count, income, spent, net} in the base currency
+ */
+export function calculateTotals(transactions) {
+    const totals = { currency: state.settings.baseCurrency, count: transactions.length, income: 0, spent: 0, net: 0 };
+    
+    transactions.forEach(t => {
+        const amount = getAmountInBase(t);
+        const type = getTransactionType(t);
+        
+        if (type === 'income') totals.income += amount;
+        if (type === 'expense') totals.spent += amount;
+        // Same rule as the dashboard: transfers keep their sign
+        totals.net += type === 'expense' ? -amount : amount;
+    });
+    
+    return totals;
+}
+
 /**
  * Calculating
  * @returns {Object} Statistics object
  */
 export function calculateStats() {
-    const transactions = state.transactions;
+    const transactions = getTransactions();
     
     // Total transactions
     const totalCount = transactions.length;
     
-    // Total spent
-    const totalSpent = transactions.reduce((sum, t) => sum + t.amount, 0);
+    // Split by type (only expenses count as spending)
+    const expenses = transactions.filter(t => getTransactionType(t) === 'expense');
+    const incomes = transactions.filter(t => getTransactionType(t) === 'income');
+    const transfers = transactions.filter(t => getTransactionType(t) === 'transfer');
+    
+    // Totals (everything converted to the base currency)
+    const totalSpent = expenses.reduce((sum, t) => sum + getAmountInBase(t), 0);
+    const totalIncome = incomes.reduce((sum, t) => sum + getAmountInBase(t), 0);
+    const totalTransfers = transfers.reduce((sum, t) => sum + getAmountInBase(t), 0);
     
-    // Category breakdown
+    // Net balance: what came in minus what went out (transfers keep their sign)
+    const netBalance = totalIncome - totalSpent + totalTransfers;
+    
+    // Category breakdown (spending only)
     const categoryTotals = {};
-    transactions.forEach(t => {
+    expenses.forEach(t => {
         if (!categoryTotals[t.category]) {
             categoryTotals[t.category] = 0;
         }
-        categoryTotals[t.category] += t.amount;
+        categoryTotals[t.category] += getAmountInBase(t);
     });
     
     // Find top category
@@ -232,39 +1108,286 @@ export function calculateStats() {
         }
     }
     
+    // Spending per day, for the trend chart
+    const spendingByDate = {};
+    expenses.forEach(t => {
+        spendingByDate[t.date] = (spendingByDate[t.date] || 0) + getAmountInBase(t);
+    });
+    
     // Last 7 days spending
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
     
-    const last7Days = transactions
+    const last7Days = expenses
         .filter(t => new Date(t.date) >= sevenDaysAgo)
-        .reduce((sum, t) => sum + t.amount, 0);
+        .reduce((sum, t) => sum + getAmountInBase(t), 0);
     
-    // Budget info
-    const budgetCap = state.settings.budgetCap;
-    const remaining = budgetCap - totalSpent;
-    const percentUsed = totalSpent > 0 ? (totalSpent / budgetCap) * 100 : 0;
+    // Budget info (only spending in the active period counts)
+    const period = getActivePeriod();
+    const periodSpending = sumExpensesInRange(expenses, period);
+    const history = getBudgetHistory();
+    
+    // Unspent money carried over from the last period (if rollover is on)
+    const rollover = history.length > 0 ? history[history.length - 1].carryOver : 0;
+    const budgetCap = state.settings.budgetCap + rollover;
+    const remaining = budgetCap - periodSpending.total;
+    const percentUsed = periodSpending.total > 0 ? (periodSpending.total / budgetCap) * 100 : 0;
+    
+    // Budget info per category (only for categories that have a cap)
+    const categoryBudgets = {};
+    for (const [category, cap] of Object.entries(state.settings.categoryBudgets || {})) {
+        const spent = periodSpending.byCategory[category] || 0;
+        const categoryPercent = spent > 0 ? (spent / cap) * 100 : 0;
+        
+        categoryBudgets[category] = {
+            cap,
+            spent,
+            remaining: cap - spent,
+            percentUsed: Math.min(categoryPercent, 100),
+            level: getBudgetLevel(categoryPercent)
+        };
+    }
     
     return {
+        currency: state.settings.baseCurrency,
         totalCount,
         totalSpent,
+        totalIncome,
+        totalTransfers,
+        netBalance,
         categoryTotals,
         topCategory,
         last7Days,
+        spendingByDate,
+        period,
         budget: {
             cap: budgetCap,
+            baseCap: state.settings.budgetCap,
+            rollover,
+            spent: periodSpending.total,
             remaining,
-            percentUsed: Math.min(percentUsed, 100) // Cap at 100%
-        }
+            percentUsed: Math.min(percentUsed, 100), // Cap at 100%
+            level: getBudgetLevel(percentUsed)
+        },
+        forecast: forecastPeriod(expenses, period, budgetCap),
+        categoryBudgets
     };
 }
 
 /**
- * Generate a unique ID for transactions
- * @returns {string} Unique ID like "txn_1634567890123"
+ * Forecast where spending ends up in a budget period
+ * @param {Array} expenses - Expense transactions
+ * @param {Object} period - {start, end}
+ * @param {number} cap - Budget for the period (with rollover)
+ * @returns {Object} Result of forecastSpending()
  */
-function generateId() {
-    return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function forecastPeriod(expenses, period, cap) {
+    const today = toDateKey(new Date());
+    const daysAhead = today < period.end ? countDays(today, period.end) - 1 : 0;
+    
+    const scheduled = getUpcomingCharges(state.recurringRules, today, daysAhead)
+        .filter(({ rule }) => getTransactionType(rule) === 'expense')
+        .map(({ rule, date }) => ({ date, amount: getAmountInBase(rule) }));
+    
+    return forecastSpending({
+        period,
+        today,
+        cap,
+        expenses: expenses
+            .filter(t => t.date >= period.start && t.date <= period.end)
+            .map(t => ({ date: t.date, amount: getAmountInBase(t), recurring: Boolean(t.recurringId) })),
+        scheduled
+    });
+}
+
+/**
+ * Work out the numbers for a report over a date range (e.g. a month or a year)
+ * @param {Object} range - {start, end} as "YYYY-MM-DD"
+ * @param {number} biggestCount - How many of the biggest expenses to list
+ * @returns {Object} {currency, count, totalSpent, totalIncome, net, byCategory,
+ *   biggestExpenses (with amountInBase), days, averagePerDay}
+ */
+export function calculateReport(range, biggestCount = 5) {
+    const transactions = getTransactions().filter(t => t.date >= range.start && t.date <= range.end);
+    const expenses = transactions.filter(t => getTransactionType(t) === 'expense');
+    const incomes = transactions.filter(t => getTransactionType(t) === 'income');
+    
+    const spending = sumExpensesInRange(expenses, range);
+    const totalIncome = incomes.reduce((sum, t) => sum + getAmountInBase(t), 0);
+    
+    // A period that isn't over yet is averaged over the days so far
+    const today = toDateKey(new Date());
+    const lastDay = range.start <= today && today < range.end ? today : range.end;
+    const days = countDays(range.start, lastDay);
+    
+    const biggestExpenses = expenses
+        .map(t => ({ ...t, amountInBase: getAmountInBase(t) }))
+        .sort((a, b) => b.amountInBase - a.amountInBase)
+        .slice(0, biggestCount);
+    
+    return {
+        currency: state.settings.baseCurrency,
+        count: transactions.length,
+        totalSpent: spending.total,
+        totalIncome,
+        net: totalIncome - spending.total,
+        byCategory: spending.byCategory,
+        biggestExpenses,
+        days,
+        averagePerDay: spending.total / days
+    };
+}
+
+/**
+ * Get the budget period we are in right now
+ * @returns {Object} {start, end, label}
+ */
+export function getActivePeriod() {
+    return getPeriodRange(state.settings.budgetPeriod || DEFAULT_BUDGET_PERIOD);
+}
+
+/**
+ * Get past budget periods with their final over/under result
+ * Oldest first. Only goes back as far as the first expense (max 24 periods).
+ * @returns {Array} [{start, end, label, cap, rollover, spent, remaining, over, carryOver}]
+ */
+export function getBudgetHistory() {
+    const periodSettings = state.settings.budgetPeriod || DEFAULT_BUDGET_PERIOD;
+    const expenses = getTransactions().filter(t => getTransactionType(t) === 'expense');
+    
+    if (expenses.length === 0) {
+        return [];
+    }
+    
+    const firstDate = expenses.reduce((min, t) => (t.date < min ? t.date : min), expenses[0].date);
+    
+    // Walk backwards from the active period to collect past ranges
+    const ranges = [];
+    let range = getPreviousPeriodRange(periodSettings, getActivePeriod());
+    while (range && range.end >= firstDate && ranges.length < 24) {
+        ranges.unshift(range);
+        range = getPreviousPeriodRange(periodSettings, range);
+    }
+    
+    // Then walk forwards so leftover money can roll into the next period
+    return applyRollover(
+        ranges.map(r => ({ ...r, spent: sumExpensesInRange(expenses, r).total })),
+        state.settings.budgetCap,
+        state.settings.budgetRollover
+    );
+}
+
+/**
+ * Add up expenses that fall inside a date range
+ * @param {Array} expenses - Expense transactions
+ * @param {Object} range - {start, end} as "YYYY-MM-DD"
+ * @returns {Object} {total, byCategory} in the base currency
+ */
+function sumExpensesInRange(expenses, range) {
+    const byCategory = {};
+    let total = 0;
+    
+    expenses
+        .filter(t => t.date >= range.start && t.date <= range.end)
+        .forEach(t => {
+            const amount = getAmountInBase(t);
+            total += amount;
+            byCategory[t.category] = (byCategory[t.category] || 0) + amount;
+        });
+    
+    return { total, byCategory };
+}
+
+/**
+ * Remember the data before a change so it can be undone
+ * A new change clears the redo list.
+ * @param {string} label - What the change does, e.g. 'Delete "Lunch"'
+ */
+function recordHistory(label) {
+    history.undo.push({ label, snapshot: takeSnapshot() });
+    if (history.undo.length > MAX_HISTORY) {
+        history.undo.shift();
+    }
+    history.redo = [];
+}
+
+/**
+ * Copy what undo can bring back (each record too, so later edits don't change the copy)
+ * Transactions, recurring rules and categories go together: a rule remembers
+ * which dates it already charged, and a rename changes all three at once.
+ * @returns {Object} {transactions, recurringRules, categories, categoryBudgets, categoryRules}
+ */
+function takeSnapshot() {
+    return {
+        transactions: state.transactions.map(t => ({ ...t })),
+        recurringRules: state.recurringRules.map(rule => ({ ...rule })),
+        categories: state.settings.categories.map(c => ({ ...c })),
+        categoryBudgets: { ...state.settings.categoryBudgets },
+        categoryRules: getCategoryRules()
+    };
+}
+
+/**
+ * Put back a snapshot from the history and save it
+ * @param {Object} snapshot - From takeSnapshot()
+ */
+function restoreSnapshot(snapshot) {
+    state.transactions = snapshot.transactions;
+    state.recurringRules = snapshot.recurringRules;
+    updateSettings({
+        categories: snapshot.categories,
+        categoryBudgets: snapshot.categoryBudgets,
+        categoryRules: snapshot.categoryRules
+    });
+    syncCategoriesWithTransactions();
+    saveTransactions(state.transactions);
+    saveRecurringRules(state.recurringRules);
+}
+
+/**
+ * Undo the last transaction change
+ * @returns {string|null} Label of the undone change, or null if there was nothing to undo
+ */
+export function undo() {
+    const entry = history.undo.pop();
+    if (!entry) return null;
+    
+    history.redo.push({ label: entry.label, snapshot: takeSnapshot() });
+    restoreSnapshot(entry.snapshot);
+    
+    console.log('Undone:', entry.label);
+    return entry.label;
+}
+
+/**
+ * Redo the last undone change
+ * @returns {string|null} Label of the redone change, or null if there was nothing to redo
+ */
+export function redo() {
+    const entry = history.redo.pop();
+    if (!entry) return null;
+    
+    history.undo.push({ label: entry.label, snapshot: takeSnapshot() });
+    restoreSnapshot(entry.snapshot);
+    
+    console.log('Redone:', entry.label);
+    return entry.label;
+}
+
+/**
+ * Check if there is a change to undo
+ * @returns {boolean} True if undo() would do something
+ */
+export function canUndo() {
+    return history.undo.length > 0;
+}
+
+/**
+ * Check if there is a change to redo
+ * @returns {boolean} True if redo() would do something
+ */
+export function canRedo() {
+    return history.redo.length > 0;
 }
 
 /**
@@ -274,7 +1397,10 @@ function generateId() {
  */
 export function importTransactions(transactions) {
     try {
-        state.transactions = transactions;
+        recordHistory(`Import ${transactions.length} transactions`);
+        // Files written by hand may leave out the id or copy a row with its id
+        state.transactions = giveUniqueIds(transactions);
+        syncCategoriesWithTransactions();
         saveTransactions(state.transactions);
         console.log('Transactions imported:', transactions.length);
         return true;
@@ -284,11 +1410,46 @@ export function importTransactions(transactions) {
     }
 }
 
+/**
+ * Import transactions by merging them with the existing ones
+ * @param {Object} plan - Result of planMerge (see merge.js)
+ * @param {boolean} overwriteConflicts - Use the imported copy for conflicts too
+ * @returns {Object} {added, updated} counts
+ */
+export function applyMergePlan(plan, overwriteConflicts = false) {
+    const replacements = overwriteConflicts ? [...plan.updates, ...plan.conflicts] : plan.updates;
+    recordHistory(`Import ${plan.adds.length + replacements.length} transactions`);
+    
+    replacements.forEach(({ existing, incoming }) => {
+        const index = state.transactions.findIndex(t => t.id === existing.id);
+        if (index !== -1) {
+            state.transactions[index] = { ...incoming, id: existing.id };
+        }
+    });
+    
+    plan.adds.forEach(item => {
+        // An id can match a transaction in the trash, the import brings it back
+        const index = item.id ? state.transactions.findIndex(t => t.id === item.id) : -1;
+        if (index !== -1) {
+            state.transactions[index] = item;
+        } else {
+            state.transactions.push({ ...item, id: item.id || generateId() });
+        }
+    });
+    
+    syncCategoriesWithTransactions();
+    saveTransactions(state.transactions);
+    
+    console.log('Transactions merged:', plan.adds.length, 'added,', replacements.length, 'updated');
+    return { added: plan.adds.length, updated: replacements.length };
+}
+
 /**
  * Clear all transactions
  * @returns {boolean} Success status
  */
 export function clearAllTransactions() {
+    recordHistory('Clear all transactions');
     state.transactions = [];
     saveTransactions(state.transactions);
     console.log('All transactions cleared');
@@ -296,4 +1457,7 @@ export function clearAllTransactions() {
 }
 
 // Initialize state when module loads
+// (pages that import this file wait until storage has been read)
+await initStorage();
 initializeState();
+onExternalChange(handleExternalChange);
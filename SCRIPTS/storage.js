@@ -1,24 +1,441 @@
 /**
- * storage.js - Handles saving and loading data from localStorage
+ * storage.js - Handles saving and loading data
  * This is like a filing cabinet that remembers your transactions!
+ *
+ * Data lives in IndexedDB when the browser has it (lots of space, and each
+ * transaction is its own record), otherwise in localStorage (about 5MB).
+ * Everything is read once by initStorage(), so the load functions stay
+ * instant, and saves are written in the background in order.
+ * After each save, other open tabs are told what changed.
  */
 
+import { CURRENT_SCHEMA_VERSION, migrateData } from './migrations.js';
+import { giveUniqueIds } from './ids.js';
+import {
+    openDatabase,
+    readTransactions,
+    readMeta,
+    writeTransactions,
+    writeMeta,
+    clearDatabase
+} from './idb.js';
+
 // Keys for storing different types of data
 const STORAGE_KEYS = {
     TRANSACTIONS: 'financeTracker:transactions',
     SETTINGS: 'financeTracker:settings',
-    BUDGET: 'financeTracker:budget'
+    BUDGET: 'financeTracker:budget',
+    RECURRING: 'financeTracker:recurring',
+    SCHEMA_VERSION: 'financeTracker:schemaVersion',
+    FILTERS: 'financeTracker:filters'
+};
+
+// Names used in the IndexedDB meta store for the keys above
+const META_NAMES = {
+    [STORAGE_KEYS.SETTINGS]: 'settings',
+    [STORAGE_KEYS.RECURRING]: 'recurring',
+    [STORAGE_KEYS.SCHEMA_VERSION]: 'schemaVersion',
+    [STORAGE_KEYS.FILTERS]: 'filters'
 };
 
+// Saved without telling other tabs (each tab keeps its own search)
+const UNANNOUNCED = ['schemaVersion', 'filters'];
+
+// localStorage holds roughly 5MB of text (2 bytes per character)
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// Warn when storage is this full (0.9 = 90%)
+const NEARLY_FULL = 0.9;
+
+// 'indexedDB' once initStorage() opens the database, otherwise 'localStorage'
+let backend = 'localStorage';
+let db = null;
+
+// What initStorage() read from IndexedDB
+let loadedTransactions = [];
+let loadedMeta = {};
+
+// JSON of each transaction as last written, so saves only write what changed
+// (and so we know which ids a save removed)
+const writtenRecords = new Map();
+
+// IndexedDB writes run one after another in this order
+let writeQueue = Promise.resolve();
+
+// Set when the saved data is from a newer version of the app,
+// so we never overwrite it with an older shape
+let savingBlocked = false;
+
+// Tells other tabs of this app when we saved something
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('financeTracker') : null;
+const changeListeners = [];
+
+// Functions to call when storage is nearly full or a save fails
+const warningListeners = [];
+let lastWarning = '';
+let lastSpaceCheck = 0;
+
+/**
+ * Open IndexedDB and read everything into memory
+ * Moves data saved by older versions from localStorage on the first run.
+ * Falls back to localStorage if IndexedDB can't be used (e.g. private mode).
+ */
+export async function initStorage() {
+    try {
+        db = await openDatabase();
+        await moveLocalStorageToIndexedDB();
+        
+        loadedTransactions = await readTransactions(db);
+        loadedMeta = await readMeta(db);
+        backend = 'indexedDB';
+    } catch (error) {
+        console.warn('IndexedDB not available, using localStorage instead:', error);
+        db = null;
+        backend = 'localStorage';
+    }
+    
+    rememberWritten(loadTransactions());
+    listenForOtherTabs();
+    
+    console.log('Storage ready:', backend);
+    checkStorageSpace();
+}
+
+/**
+ * Remember transactions as saved, so the next save only writes changes
+ * @param {Array} transactions - Transactions as they are in storage
+ */
+function rememberWritten(transactions) {
+    writtenRecords.clear();
+    transactions.forEach(t => writtenRecords.set(t.id, JSON.stringify(t)));
+}
+
+/**
+ * Tell other tabs what we saved
+ * @param {string} what - 'transactions', 'settings', 'recurring' or 'all'
+ * @param {Array} removedIds - Transactions that were removed for good
+ */
+function announceChange(what, removedIds = []) {
+    if (channel) {
+        channel.postMessage({ what, removedIds });
+    }
+}
+
+/**
+ * Work out which transactions another tab removed for good
+ * (the storage event only has the saved list before and after)
+ * @param {string|null} oldValue - Transactions JSON before the change
+ * @param {string|null} newValue - Transactions JSON after the change
+ * @returns {Array} IDs that were in the old list but not the new one
+ */
+function findRemovedIds(oldValue, newValue) {
+    const getIds = (value) => {
+        try {
+            const list = value ? JSON.parse(value) : [];
+            return Array.isArray(list) ? list.filter(t => t && t.id).map(t => t.id) : [];
+        } catch (error) {
+            return [];
+        }
+    };
+    
+    const kept = new Set(getIds(newValue));
+    return getIds(oldValue).filter(id => !kept.has(id));
+}
+
+/**
+ * Pass messages from other tabs on to the listeners
+ * Browsers without BroadcastChannel still get localStorage's storage event.
+ */
+function listenForOtherTabs() {
+    const notify = (change) => changeListeners.forEach(listener => listener(change));
+    
+    if (channel) {
+        channel.onmessage = (e) => notify(e.data);
+    } else if (typeof window !== 'undefined') {
+        window.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEYS.TRANSACTIONS) {
+                notify({ what: 'transactions', removedIds: findRemovedIds(e.oldValue, e.newValue) });
+            } else if (e.key === STORAGE_KEYS.SETTINGS || e.key === STORAGE_KEYS.RECURRING) {
+                notify({ what: e.key === STORAGE_KEYS.SETTINGS ? 'settings' : 'recurring', removedIds: [] });
+            }
+        });
+    }
+}
+
+/**
+ * Get told when another tab saved something
+ * @param {Function} listener - Called with {what, removedIds}
+ */
+export function onExternalChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Read transactions again after another tab changed them
+ * Waits for our own pending writes first, so they are included.
+ * @returns {Promise<Array>} Transactions as they are in storage now
+ */
+export async function reloadTransactions() {
+    await writeQueue;
+    
+    if (backend === 'indexedDB') {
+        loadedTransactions = await readTransactions(db);
+    }
+    
+    const transactions = loadTransactions();
+    rememberWritten(transactions);
+    return transactions;
+}
+
+/**
+ * Read settings and recurring rules again after another tab changed them
+ * Use loadSettings() / loadRecurringRules() afterwards.
+ */
+export async function reloadMeta() {
+    await writeQueue;
+    
+    if (backend === 'indexedDB') {
+        loadedMeta = await readMeta(db);
+    }
+}
+
+/**
+ * Copy data saved by older versions from localStorage into IndexedDB (once)
+ */
+async function moveLocalStorageToIndexedDB() {
+    const meta = await readMeta(db);
+    if (meta.movedFromLocalStorage) return;
+    
+    const transactions = readLocal(STORAGE_KEYS.TRANSACTIONS);
+    // Old saved data may have ids missing or shared, keep every record
+    const records = Array.isArray(transactions)
+        ? giveUniqueIds(transactions.filter(t => t && typeof t === 'object'))
+        : [];
+    if (records.length > 0) {
+        await writeTransactions(db, records, []);
+        
+        // Only let go of the old copy once every record is really there
+        const savedIds = new Set((await readTransactions(db)).map(t => t.id));
+        if (!records.every(t => savedIds.has(t.id))) {
+            throw new Error('Not every transaction was copied to IndexedDB');
+        }
+    }
+    
+    for (const key of Object.keys(META_NAMES)) {
+        const value = readLocal(key);
+        if (value !== null) {
+            await writeMeta(db, META_NAMES[key], value);
+        }
+    }
+    
+    await writeMeta(db, 'movedFromLocalStorage', new Date().toISOString());
+    
+    // Free up the old space now that everything is copied
+    Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    console.log('Moved data from localStorage to IndexedDB');
+}
+
+/**
+ * Read and parse a localStorage key
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value or null
+ */
+function readLocal(key) {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Read a saved value from whichever storage is in use
+ * @param {string} key - One of STORAGE_KEYS
+ * @returns {*} Saved value or null
+ */
+function readValue(key) {
+    if (backend === 'indexedDB') {
+        if (key === STORAGE_KEYS.TRANSACTIONS) {
+            return loadedTransactions;
+        }
+        const value = loadedMeta[META_NAMES[key]];
+        return value === undefined ? null : value;
+    }
+    
+    return readLocal(key);
+}
+
+/**
+ * Save a value (settings, rules, version) to whichever storage is in use
+ * @param {string} key - One of STORAGE_KEYS
+ * @param {*} value - Value to save
+ * @param {string} what - What is being saved (for messages)
+ * @returns {boolean} False if the save failed straight away
+ */
+function writeValue(key, value, what) {
+    const change = UNANNOUNCED.includes(META_NAMES[key]) ? null : META_NAMES[key];
+    
+    if (backend === 'indexedDB') {
+        loadedMeta[META_NAMES[key]] = value;
+        queueWrite(() => writeMeta(db, META_NAMES[key], value), what, null, change);
+        return true;
+    }
+    
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        if (change) announceChange(change);
+        checkStorageSpace();
+        return true;
+    } catch (error) {
+        console.error(`Error saving ${what}:`, error);
+        reportWarning(describeWriteError(error, what));
+        return false;
+    }
+}
+
 /**
- * Load transactions from localStorage
+ * Add a write to the IndexedDB queue
+ * @param {Function} write - Returns a Promise that does the write
+ * @param {string} what - What is being saved (for messages)
+ * @param {Function} onError - Called if the write fails
+ * @param {string} change - Change to announce to other tabs once written
+ * @param {Array} removedIds - Transactions the write removed
+ */
+function queueWrite(write, what, onError = null, change = null, removedIds = []) {
+    writeQueue = writeQueue
+        .then(write)
+        .then(() => {
+            if (change) announceChange(change, removedIds);
+            checkStorageSpace();
+        })
+        .catch(error => {
+            console.error(`Error saving ${what}:`, error);
+            if (onError) onError();
+            reportWarning(describeWriteError(error, what));
+        });
+}
+
+/**
+ * Explain a failed save in words
+ * @param {Error} error - Error from the browser
+ * @param {string} what - What was being saved
+ * @returns {string} Message for the warning banner
+ */
+function describeWriteError(error, what) {
+    if (error && error.name === 'QuotaExceededError') {
+        return 'Storage is full, so your latest changes were not saved. Export a backup and delete old transactions to free up space.';
+    }
+    return `Could not save ${what}. Your latest changes may be lost when you close this page.`;
+}
+
+/**
+ * Warn if storage is nearly full
+ * Checked at most every 10 seconds because the browser estimate is slow
+ */
+async function checkStorageSpace() {
+    const now = Date.now();
+    if (now - lastSpaceCheck < 10000) return;
+    lastSpaceCheck = now;
+    
+    try {
+        let usage;
+        let quota;
+        
+        if (backend === 'indexedDB' && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            ({ usage, quota } = await navigator.storage.estimate());
+        } else {
+            usage = Object.values(STORAGE_KEYS)
+                .reduce((total, key) => total + (localStorage.getItem(key) || '').length * 2, 0);
+            quota = LOCAL_STORAGE_QUOTA;
+        }
+        
+        if (quota && usage / quota >= NEARLY_FULL) {
+            reportWarning(`Storage is ${Math.round((usage / quota) * 100)}% full. Export a backup and delete old transactions to free up space.`);
+        }
+    } catch (error) {
+        console.error('Error checking storage space:', error);
+    }
+}
+
+/**
+ * Tell listeners about a storage problem
+ * @param {string} message - Warning to show
+ */
+function reportWarning(message) {
+    lastWarning = message;
+    warningListeners.forEach(listener => listener(message));
+}
+
+/**
+ * Get told when storage is nearly full or a save fails
+ * A warning that happened before subscribing is passed on straight away.
+ * @param {Function} listener - Called with the warning message
+ */
+export function onStorageWarning(listener) {
+    warningListeners.push(listener);
+    if (lastWarning) {
+        listener(lastWarning);
+    }
+}
+
+/**
+ * Stop all saves (used when the saved data is too new for this app)
+ */
+export function blockSaving() {
+    savingBlocked = true;
+}
+
+/**
+ * Check if saving is allowed, and log why not
+ * @param {string} what - What we tried to save (for the log)
+ * @returns {boolean} True if we can save
+ */
+function canSave(what) {
+    if (savingBlocked) {
+        console.warn(`Not saving ${what}: data is from a newer version of the app`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Load the schema version the saved data was written with
+ * Data saved before versions existed counts as version 1
+ * @returns {number} Schema version
+ */
+export function loadSchemaVersion() {
+    try {
+        const data = readValue(STORAGE_KEYS.SCHEMA_VERSION);
+        if (data) {
+            return Number(data);
+        }
+        
+        const transactions = readValue(STORAGE_KEYS.TRANSACTIONS);
+        const hasOldData = (transactions && transactions.length > 0)
+            || readValue(STORAGE_KEYS.SETTINGS) !== null;
+        return hasOldData ? 1 : CURRENT_SCHEMA_VERSION;
+    } catch (error) {
+        console.error('Error loading schema version:', error);
+        return CURRENT_SCHEMA_VERSION;
+    }
+}
+
+/**
+ * Save the schema version next to the data
+ * @param {number} version - Schema version
+ */
+export function saveSchemaVersion(version) {
+    if (!canSave('schema version')) return false;
+    
+    return writeValue(STORAGE_KEYS.SCHEMA_VERSION, version, 'schema version');
+}
+
+/**
+ * Load transactions
  * Returns empty array if none exist
  */
 export function loadTransactions() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.TRANSACTIONS);
+        const data = readValue(STORAGE_KEYS.TRANSACTIONS);
         if (data) {
-            return JSON.parse(data);
+            return [...data];
         }
         return [];
     } catch (error) {
@@ -28,32 +445,102 @@ export function loadTransactions() {
 }
 
 /**
- * Save transactions to localStorage
+ * Save transactions
+ * With IndexedDB only the transactions that were added, changed or
+ * removed since the last save are written.
  * @param {Array} transactions - Array of transaction objects
  */
 export function saveTransactions(transactions) {
+    if (!canSave('transactions')) return false;
+    
+    // Work out what changed since the last save
+    const puts = [];
+    const keptIds = new Set();
+    
+    transactions.forEach(t => {
+        const json = JSON.stringify(t);
+        keptIds.add(t.id);
+        if (writtenRecords.get(t.id) !== json) {
+            puts.push(t);
+            writtenRecords.set(t.id, json);
+        }
+    });
+    
+    const deletes = [...writtenRecords.keys()].filter(id => !keptIds.has(id));
+    deletes.forEach(id => writtenRecords.delete(id));
+    
+    // Forget what failed so the next save tries again
+    const forgetFailed = () => {
+        puts.forEach(t => writtenRecords.delete(t.id));
+        deletes.forEach(id => writtenRecords.set(id, ''));
+    };
+    
+    if (backend === 'localStorage') {
+        try {
+            localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
+            if (puts.length > 0 || deletes.length > 0) {
+                announceChange('transactions', deletes);
+            }
+            checkStorageSpace();
+            return true;
+        } catch (error) {
+            console.error('Error saving transactions:', error);
+            forgetFailed();
+            reportWarning(describeWriteError(error, 'transactions'));
+            return false;
+        }
+    }
+    
+    loadedTransactions = [...transactions];
+    
+    if (puts.length > 0 || deletes.length > 0) {
+        queueWrite(() => writeTransactions(db, puts, deletes), 'transactions', forgetFailed, 'transactions', deletes);
+    }
+    
+    return true;
+}
+
+/**
+ * Load recurring rules
+ * Returns empty array if none exist
+ */
+export function loadRecurringRules() {
     try {
-        localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
-        return true;
+        const data = readValue(STORAGE_KEYS.RECURRING);
+        if (data) {
+            return data;
+        }
+        return [];
     } catch (error) {
-        console.error('Error saving transactions:', error);
-        return false;
+        console.error('Error loading recurring rules:', error);
+        return [];
     }
 }
 
 /**
- * Load settings from localStorage
+ * Save recurring rules
+ * @param {Array} rules - Array of recurring rule objects
+ */
+export function saveRecurringRules(rules) {
+    if (!canSave('recurring rules')) return false;
+    
+    return writeValue(STORAGE_KEYS.RECURRING, rules, 'recurring rules');
+}
+
+/**
+ * Load settings
  * Returns settings object with default values if none exist
  */
 export function loadSettings() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+        const data = readValue(STORAGE_KEYS.SETTINGS);
         if (data) {
-            return JSON.parse(data);
+            return data;
         }
         // Default settings
         return {
             budgetCap: 100.00,
+            baseCurrency: 'USD',
             currencies: {
                 USD: 1.00,
                 EUR: 0.85,
@@ -64,6 +551,7 @@ export function loadSettings() {
         console.error('Error loading settings:', error);
         return {
             budgetCap: 100.00,
+            baseCurrency: 'USD',
             currencies: {
                 USD: 1.00,
                 EUR: 0.85,
@@ -74,27 +562,59 @@ export function loadSettings() {
 }
 
 /**
- * Save settings to localStorage
+ * Save settings
  * @param {Object} settings - Settings object
  */
 export function saveSettings(settings) {
+    if (!canSave('settings')) return false;
+    
+    return writeValue(STORAGE_KEYS.SETTINGS, settings, 'settings');
+}
+
+/**
+ * Load the last-used search and the saved search presets
+ * @returns {Object} {last, presets} - last is null if nothing was saved
+ */
+export function loadFilters() {
     try {
-        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-        return true;
+        const data = readValue(STORAGE_KEYS.FILTERS);
+        return {
+            last: data && data.last ? data.last : null,
+            presets: data && Array.isArray(data.presets) ? data.presets : []
+        };
     } catch (error) {
-        console.error('Error saving settings:', error);
-        return false;
+        console.error('Error loading filters:', error);
+        return { last: null, presets: [] };
     }
 }
 
 /**
- * Clear all data from localStorage
+ * Save the last-used search and the search presets
+ * @param {Object} filters - {last, presets}
+ */
+export function saveFilters(filters) {
+    if (!canSave('filters')) return false;
+    
+    return writeValue(STORAGE_KEYS.FILTERS, filters, 'filters');
+}
+
+/**
+ * Clear all saved data
  */
 export function clearAllData() {
     try {
-        localStorage.removeItem(STORAGE_KEYS.TRANSACTIONS);
-        localStorage.removeItem(STORAGE_KEYS.SETTINGS);
-        localStorage.removeItem(STORAGE_KEYS.BUDGET);
+        Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+        const removedIds = [...writtenRecords.keys()];
+        writtenRecords.clear();
+        
+        if (backend === 'indexedDB') {
+            loadedTransactions = [];
+            loadedMeta = {};
+            // Keep the "moved" mark so nothing is copied from localStorage again
+            queueWrite(() => clearDatabase(db).then(() => writeMeta(db, 'movedFromLocalStorage', true)), 'cleared data', null, 'all', removedIds);
+        } else {
+            announceChange('all', removedIds);
+        }
         return true;
     } catch (error) {
         console.error('Error clearing data:', error);
@@ -104,12 +624,17 @@ export function clearAllData() {
 
 /**
  * Export transactions as JSON string
+ * The file records the schema version so it can be upgraded when imported later
  * @param {Array} transactions - Array of transactions to export
  * @returns {string} JSON string
  */
 export function exportToJSON(transactions) {
     try {
-        return JSON.stringify(transactions, null, 2);
+        return JSON.stringify({
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            transactions
+        }, null, 2);
     } catch (error) {
         console.error('Error exporting to JSON:', error);
         return null;
@@ -118,28 +643,34 @@ export function exportToJSON(transactions) {
 
 /**
  * Import transactions from JSON string
+ * Accepts our export files ({schemaVersion, transactions}) and plain lists
+ * from before versions existed, and upgrades them to the current shape.
+ * Only checks that the file has a list. Each item is checked later with
+ * validateImportRows so one bad row doesn't reject the whole file.
  * @param {string} jsonString - JSON string to parse
- * @returns {Array|null} Array of transactions or null if invalid
+ * @returns {Object} {isValid, transactions, error}
  */
 export function importFromJSON(jsonString) {
     try {
         const data = JSON.parse(jsonString);
         
+        // Plain lists come from the first version of the app
+        const isOldList = Array.isArray(data);
+        const items = isOldList ? data : data && data.transactions;
+        
         // Validate that it's an array
-        if (!Array.isArray(data)) {
-            throw new Error('Invalid format: expected an array');
+        if (!Array.isArray(items)) {
+            throw new Error('Invalid format: expected a list of transactions');
         }
         
-        // Validate each transaction has required fields
-        for (const item of data) {
-            if (!item.id || !item.description || item.amount === undefined || !item.category || !item.date) {
-                throw new Error('Invalid transaction format: missing required fields');
-            }
+        const migration = migrateData({ transactions: items }, isOldList ? 1 : data.schemaVersion);
+        if (!migration.isValid) {
+            return { isValid: false, transactions: [], error: migration.error };
         }
         
-        return data;
+        return { isValid: true, transactions: migration.data.transactions, error: '' };
     } catch (error) {
         console.error('Error importing from JSON:', error);
-        return null;
+        return { isValid: false, transactions: [], error: 'Invalid JSON file. Please check the format.' };
     }
 }
@@ -0,0 +1,236 @@
+/**
+ * suggestions.js - Guesses the category (and usual amount) from a description 💡
+ * Keyword rules from Settings come first ("bosco" -> Food). Otherwise past
+ * transactions with a similar description vote for their category, so
+ * "Breakfast chez Bosco" suggests whatever it was filed under last time.
+ * Also lists past descriptions for autocomplete, and the transactions
+ * entered most often as one-click templates.
+ */
+
+// Words that say nothing about the category
+const STOP_WORDS = new Set(['the', 'and', 'for', 'from', 'with', 'at', 'to', 'of', 'in', 'on']);
+
+// Shortest word that can match the start of a longer word while typing
+const MIN_PREFIX = 3;
+
+// Share of the typed words (0-1) a past description must have to count
+const MIN_COVERAGE = 0.5;
+
+// A transaction has to be entered this many times to become a template
+const MIN_REPEATS = 2;
+
+/**
+ * Split text into lowercase words without accents or numbers
+ * @param {string} text - Description or keyword
+ * @returns {Array} Words, e.g. "Chèz Bosco x2" -> ['chez', 'bosco', 'x2']
+ */
+function toWords(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length >= 2 && !/^\d+$/.test(word) && !STOP_WORDS.has(word));
+}
+
+/**
+ * Check if a typed word matches a known word
+ * The last typed word may still be unfinished, so its start is enough.
+ * @param {string} typed - Word from the description being typed
+ * @param {string} word - Word from a rule or past description
+ * @param {boolean} isLast - True for the word being typed right now
+ * @returns {boolean} True if they match
+ */
+function wordMatches(typed, word, isLast) {
+    return typed === word || (isLast && typed.length >= MIN_PREFIX && word.startsWith(typed));
+}
+
+/**
+ * Count how many typed words match a list of words
+ * @param {Array} typedWords - Words being typed
+ * @param {Array} words - Words to match against
+ * @returns {number} Number of typed words that match
+ */
+function countMatches(typedWords, words) {
+    return typedWords.filter((typed, index) => (
+        words.some(word => wordMatches(typed, word, index === typedWords.length - 1))
+    )).length;
+}
+
+/**
+ * Find the keyword rule that fits a description
+ * Every word of the keyword must be in the description; longer keywords win.
+ * @param {Array} typedWords - Words of the description
+ * @param {Array} rules - [{keyword, category}]
+ * @returns {Object|null} Matching rule
+ */
+function findRule(typedWords, rules) {
+    const matching = rules.filter(rule => {
+        const keywordWords = toWords(rule.keyword);
+        return keywordWords.length > 0 && keywordWords.every(word => (
+            typedWords.some((typed, index) => wordMatches(typed, word, index === typedWords.length - 1))
+        ));
+    });
+
+    return matching.sort((a, b) => b.keyword.length - a.keyword.length)[0] || null;
+}
+
+/**
+ * Get the middle value of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Suggest a category and a typical amount for a description
+ * @param {string} description - What has been typed so far
+ * @param {Object} sources - {transactions, rules, categories (names that can be picked)}
+ * @param {Object} options - {type, currency}: only past transactions of this type
+ *   are used, and the amount comes from ones in this currency
+ * @returns {Object|null} {category, amount (number or null), source ('rule' or 'history'),
+ *   keyword (for rules), count (similar past transactions)}, or null if there's no good guess
+ */
+export function suggestCategory(description, sources, options = {}) {
+    const { transactions = [], rules = [], categories = null } = sources;
+    const { type = 'expense', currency = null } = options;
+
+    const typedWords = toWords(description);
+    if (typedWords.length === 0) return null;
+
+    const canPick = category => !categories || categories.includes(category);
+
+    // Past descriptions with most of the typed words; similarity also counts
+    // their extra words, so "lunch" is closer to "Lunch" than to "Lunch and drinks"
+    const similar = transactions
+        .filter(t => (t.type || 'expense') === type && canPick(t.category))
+        .map(t => {
+            const words = toWords(t.description);
+            const matched = countMatches(typedWords, words);
+            return {
+                t,
+                coverage: matched / typedWords.length,
+                similarity: matched / Math.max(typedWords.length, words.length)
+            };
+        })
+        .filter(match => match.coverage >= MIN_COVERAGE);
+
+    let category = null;
+    let keyword = '';
+
+    const rule = findRule(typedWords, rules.filter(r => canPick(r.category)));
+    if (rule) {
+        category = rule.category;
+        keyword = rule.keyword;
+    } else if (similar.length > 0) {
+        // Each similar transaction votes for its category
+        const votes = {};
+        similar.forEach(({ t, similarity }) => {
+            votes[t.category] = (votes[t.category] || 0) + similarity;
+        });
+        category = Object.entries(votes).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    if (!category) return null;
+
+    // The usual amount comes from the closest matches in that category
+    const inCategory = similar.filter(match => match.t.category === category);
+    const best = Math.max(0, ...inCategory.map(match => match.similarity));
+    const amounts = inCategory
+        .filter(match => match.similarity === best && (!currency || (match.t.currency || 'USD') === currency))
+        .map(match => match.t.amount);
+
+    return {
+        category,
+        amount: median(amounts),
+        source: rule ? 'rule' : 'history',
+        keyword,
+        count: inCategory.length
+    };
+}
+
+/**
+ * Group past transactions by description (capitals and spaces don't matter)
+ * Transactions added by a recurring rule are left out, they don't need retyping.
+ * @param {Array} transactions - Past transactions
+ * @param {Function} getKey - Takes a transaction and returns what else must match
+ * @returns {Array} [{count, latest}] where latest is the most recent transaction
+ */
+function groupByDescription(transactions, getKey = () => '') {
+    const groups = new Map();
+
+    transactions
+        .filter(t => !t.recurringId && String(t.description || '').trim())
+        .forEach(t => {
+            const key = `${t.description.trim().replace(/\s+/g, ' ').toLowerCase()}|${getKey(t)}`;
+            const group = groups.get(key);
+
+            if (!group) {
+                groups.set(key, { count: 1, latest: t });
+            } else {
+                group.count++;
+                if (t.date > group.latest.date) group.latest = t;
+            }
+        });
+
+    // Most used first, then most recent
+    return [...groups.values()].sort((a, b) => (
+        b.count - a.count || b.latest.date.localeCompare(a.latest.date)
+    ));
+}
+
+/**
+ * List past descriptions for the description autocomplete
+ * @param {Array} transactions - Past transactions
+ * @param {number} limit - Most descriptions to list
+ * @returns {Array} Descriptions, most used first (spelled as last typed)
+ */
+export function getDescriptionOptions(transactions, limit = 50) {
+    return groupByDescription(transactions)
+        .slice(0, limit)
+        .map(group => group.latest.description.trim());
+}
+
+/**
+ * Find the transactions entered most often, to re-enter them in one click
+ * The same description in another category or type counts separately.
+ * @param {Array} transactions - Past transactions
+ * @param {number} limit - Most templates to return
+ * @returns {Array} [{type, description, amount, currency, category, count}] taken
+ *   from the most recent one of each, most used first
+ */
+export function getFrequentTransactions(transactions, limit = 6) {
+    return groupByDescription(transactions, t => `${t.type || 'expense'}|${t.category}`)
+        .filter(group => group.count >= MIN_REPEATS)
+        .slice(0, limit)
+        .map(({ count, latest }) => ({
+            type: latest.type || 'expense',
+            description: latest.description.trim(),
+            amount: latest.amount,
+            currency: latest.currency || 'USD',
+            category: latest.category,
+            count
+        }));
+}
+
+/**
+ * Turn a past transaction or a template into values for the transaction form
+ * Amounts are saved as numbers (12.5), but the form wants two decimals ("12.50").
+ * @param {Object} transaction - Transaction or template from getFrequentTransactions()
+ * @returns {Object} {type, description, amount, currency, category} as form text
+ */
+export function toFormValues(transaction) {
+    return {
+        type: transaction.type || 'expense',
+        description: String(transaction.description || '').trim(),
+        amount: Number(transaction.amount).toFixed(2),
+        currency: transaction.currency || 'USD',
+        category: transaction.category
+    };
+}
@@ -5,6 +5,7 @@
 import { 
     getTransactions, 
     addTransaction, 
+    addTransactions,
     updateTransaction, 
     deleteTransaction,
     getSettings,
@@ -12,8 +13,46 @@ import {
     setCurrentEditId,
     getCurrentEditId,
     calculateStats,
+    calculateReport,
+    getCategoryRules,
+    saveCategoryRule,
+    deleteCategoryRule,
+    getTransactionType,
+    getTransactionCurrency,
+    getAmountInBase,
+    setBaseCurrency,
+    setCategoryBudget,
+    removeCategoryBudget,
+    getBudgetHistory,
+    getRecurringRules,
+    getRecurringRuleById,
+    addRecurringRule,
+    updateRecurringRule,
+    setRecurringRulePaused,
+    deleteRecurringRule,
+    getCategories,
+    addCategory,
+    updateCategoryStyle,
+    setCategoryArchived,
+    renameCategory,
+    mergeCategories,
     importTransactions,
-    clearAllTransactions
+    applyMergePlan,
+    clearAllTransactions,
+    getStorageError,
+    undo,
+    redo,
+    getDeletedTransactions,
+    restoreTransaction,
+    purgeTransactions,
+    onStateChanged,
+    getFilters,
+    updateFilters,
+    DEFAULT_FILTERS,
+    calculateTotals,
+    getFilterPresets,
+    saveFilterPreset,
+    deleteFilterPreset
 } from './state.js';
 
 import { 
@@ -22,20 +61,75 @@ import {
     validateAmount,
     validateDate,
     validateCategory,
-    validateBudgetCap
+    validateType,
+    validateCurrency,
+    validateExchangeRate,
+    validateBudgetCap,
+    validateCategoryBudget,
+    validateBudgetPeriod,
+    validateRecurringRule,
+    validateCategoryName,
+    validateCategoryColor,
+    validateCategoryIcon,
+    validateImportRows,
+    validateTrashRetention,
+    validatePresetName,
+    validateListFilters,
+    validateReportPeriod,
+    validateCategoryRule
 } from './validators.js';
 
 import {
-    compileRegex,
-    searchTransactions,
-    highlightMatches,
+    findMatches,
+    fuzzySearch,
     sortTransactions,
+    filterTransactions,
     validateSearchPattern
 } from './search.js';
 
+import {
+    formatMoney,
+    getCurrencySymbol
+} from './currency.js';
+
+import {
+    describePeriod,
+    fromDateKey,
+    toDateKey,
+    addDays,
+    getQuickRange,
+    getTrendRanges,
+    getReportRange
+} from './periods.js';
+
+import { getNextDate, getUpcomingCharges } from './recurring.js';
+
+import { getCategoryStyle } from './categories.js';
+
+import { el, markedText } from './dom.js';
+
+import { createDonutChart, createLineChart, createBarChart } from './charts.js';
+
+import { suggestCategory, getDescriptionOptions, getFrequentTransactions, toFormValues } from './suggestions.js';
+
+import {
+    CSV_FIELDS,
+    toCSV,
+    parseCSV,
+    guessColumnMapping,
+    rowsToTransactions
+} from './csv.js';
+
+import { planMerge } from './merge.js';
+
+import { parseQuery, filterByQuery, getQueryHighlightRegex, hasRegexTerms } from './query.js';
+
+import { searchWithTimeLimit, cancelSearch } from './searchGuard.js';
+
 import {
     exportToJSON,
-    importFromJSON
+    importFromJSON,
+    onStorageWarning
 } from './storage.js';
 
 /**
@@ -46,9 +140,18 @@ function initializeUI() {
     
     console.log('Initializing UI for page:', currentPage);
     
+    showStorageError();
+    onStorageWarning(showStorageWarning);
+    
+    // Redraw when the data changes in another tab
+    onStateChanged(refreshCurrentPage);
+    
     // Initialize based on current page
     if (currentPage === 'dashboard') {
+        setupTrendInterval();
         initializeDashboard();
+    } else if (currentPage === 'reports') {
+        initializeReports();
     } else if (currentPage === 'transactions') {
         initializeTransactions();
     } else if (currentPage === 'settings') {
@@ -56,12 +159,59 @@ function initializeUI() {
     }
 }
 
+/**
+ * Show a banner if the saved data can't be used safely
+ * (e.g. it was saved by a newer version of the app, so changes won't be saved)
+ */
+function showStorageError() {
+    const error = getStorageError();
+    const main = document.getElementById('main-content');
+    if (!error || !main) return;
+    
+    const banner = document.createElement('div');
+    banner.className = 'storage-banner';
+    banner.setAttribute('role', 'alert');
+    banner.textContent = `${error} Your changes will not be saved.`;
+    main.prepend(banner);
+}
+
+/**
+ * Show a warning when storage is nearly full or a save failed
+ * Uses one banner, so repeated warnings replace each other
+ * @param {string} message - Warning from storage.js
+ */
+function showStorageWarning(message) {
+    const main = document.getElementById('main-content');
+    if (!main) return;
+    
+    let banner = document.getElementById('storage-warning');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'storage-warning';
+        banner.className = 'storage-banner storage-warning';
+        banner.setAttribute('role', 'alert');
+        
+        const text = document.createElement('span');
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'btn btn-secondary';
+        dismiss.textContent = 'Dismiss';
+        dismiss.addEventListener('click', () => banner.remove());
+        
+        banner.append(text, dismiss);
+        main.prepend(banner);
+    }
+    
+    banner.querySelector('span').textContent = message;
+}
+
 /**
  * Get current page name from URL
  */
 function getCurrentPage() {
     const path = window.location.pathname;
     if (path.includes('dashboard')) return 'dashboard';
+    if (path.includes('reports')) return 'reports';
     if (path.includes('transactions')) return 'transactions';
     if (path.includes('settings')) return 'settings';
     return 'home';
@@ -76,7 +226,17 @@ function initializeDashboard() {
     updateDashboardStats();
     updateBudgetDisplay();
     updateCategoryBreakdown();
+    updateBudgetHistory();
+    updateUpcomingCharges();
     updateRecentTransactions();
+    updateDashboardCharts();
+}
+
+function setupTrendInterval() {
+    const intervalSelect = document.getElementById('trend-interval');
+    if (intervalSelect) {
+        intervalSelect.addEventListener('change', () => updateTrendChart(calculateStats()));
+    }
 }
 
 function updateDashboardStats() {
@@ -87,11 +247,18 @@ function updateDashboardStats() {
     const totalSpentEl = document.getElementById('total-spent');
     const topCategoryEl = document.getElementById('top-category');
     const last7DaysEl = document.getElementById('last-seven-days');
+    const totalIncomeEl = document.getElementById('total-income');
+    const netBalanceEl = document.getElementById('net-balance');
     
     if (totalTransEl) totalTransEl.textContent = stats.totalCount;
-    if (totalSpentEl) totalSpentEl.textContent = `$${stats.totalSpent.toFixed(2)}`;
+    if (totalSpentEl) totalSpentEl.textContent = formatMoney(stats.totalSpent, stats.currency);
+    if (totalIncomeEl) totalIncomeEl.textContent = formatMoney(stats.totalIncome, stats.currency);
+    if (netBalanceEl) {
+        netBalanceEl.textContent = formatMoney(stats.netBalance, stats.currency);
+        netBalanceEl.style.color = stats.netBalance < 0 ? '#dc3545' : '#28a745';
+    }
     if (topCategoryEl) topCategoryEl.textContent = stats.topCategory;
-    if (last7DaysEl) last7DaysEl.textContent = `$${stats.last7Days.toFixed(2)}`;
+    if (last7DaysEl) last7DaysEl.textContent = formatMoney(stats.last7Days, stats.currency);
 }
 
 function updateBudgetDisplay() {
@@ -104,9 +271,18 @@ function updateBudgetDisplay() {
     const budgetProgressEl = document.getElementById('budget-progress');
     const budgetAlertEl = document.getElementById('budget-alert');
     
-    if (budgetCapEl) budgetCapEl.textContent = `$${budget.cap.toFixed(2)}`;
+    const periodLabelEl = document.getElementById('budget-period-label');
+    const rolloverEl = document.getElementById('budget-rollover');
+    
+    if (budgetCapEl) budgetCapEl.textContent = formatMoney(budget.cap, stats.currency);
+    if (periodLabelEl) periodLabelEl.textContent = `(${stats.period.label})`;
+    if (rolloverEl) {
+        rolloverEl.textContent = budget.rollover > 0
+            ? `Includes ${formatMoney(budget.rollover, stats.currency)} rolled over from last period`
+            : '';
+    }
     if (budgetRemainingEl) {
-        budgetRemainingEl.textContent = `$${budget.remaining.toFixed(2)}`;
+        budgetRemainingEl.textContent = formatMoney(budget.remaining, stats.currency);
         
         // Change color based on remaining
         if (budget.remaining < 0) {
@@ -154,6 +330,84 @@ function updateBudgetDisplay() {
             budgetAlertEl.innerHTML = '<p>You\'re doing great! Keep tracking your expenses.</p>';
         }
     }
+    
+    updateBudgetForecast(stats);
+    updateCategoryBudgetAlerts(stats);
+}
+
+/**
+ * Show where spending is heading: the total by the end of the period,
+ * when the budget would run out, and how much is safe to spend each day
+ * @param {Object} stats - Result of calculateStats()
+ */
+function updateBudgetForecast(stats) {
+    const container = document.getElementById('budget-forecast');
+    if (!container) return;
+    
+    const { forecast, period } = stats;
+    const money = amount => formatMoney(amount, stats.currency);
+    const endLabel = formatDueDate(period.end);
+    
+    container.classList.remove('warning', 'danger');
+    
+    if (forecast.spent === 0 && forecast.scheduledTotal === 0) {
+        container.replaceChildren(el('p', { text: 'Add some expenses to see where this period is heading.' }));
+        return;
+    }
+    
+    const recurring = forecast.scheduledTotal > 0
+        ? `, including ${money(forecast.scheduledTotal)} of recurring charges still to come`
+        : '';
+    const early = forecast.isEarly ? ' This is a rough guess until there are a few days of spending.' : '';
+    const lines = [
+        el('p', {},
+            el('strong', { text: 'Forecast:' }),
+            ` about ${money(forecast.projected)} spent by ${endLabel}${recurring}.${early}`
+        )
+    ];
+    
+    if (forecast.ranOut) {
+        container.classList.add('danger');
+        lines.push(el('p', { text: `The budget ran out on ${formatDueDate(forecast.runOutDate)}.` }));
+    } else if (forecast.runOutDate) {
+        container.classList.add('warning');
+        lines.push(el('p', { text: `At this pace the budget runs out around ${formatDueDate(forecast.runOutDate)} and ends ${money(-forecast.projectedLeft)} over.` }));
+    } else {
+        lines.push(el('p', { text: `On track: about ${money(forecast.projectedLeft)} left at the end of the period.` }));
+    }
+    
+    if (!forecast.ranOut) {
+        lines.push(el('p', {
+            text: forecast.safeDaily > 0
+                ? `Safe to spend: ${money(forecast.safeDaily)} a day until ${endLabel}.`
+                : 'Recurring charges will use up the rest of the budget, so try not to spend more this period.'
+        }));
+    }
+    
+    container.replaceChildren(...lines);
+}
+
+/**
+ * Show a warning for every category at 80% or more of its own cap
+ * @param {Object} stats - Result of calculateStats()
+ */
+function updateCategoryBudgetAlerts(stats) {
+    const container = document.getElementById('category-budget-alerts');
+    if (!container) return;
+    
+    const alerts = Object.entries(stats.categoryBudgets)
+        .filter(([, budget]) => budget.level !== 'ok')
+        .sort((a, b) => b[1].percentUsed - a[1].percentUsed);
+    
+    const items = alerts.map(([category, budget]) => {
+        const message = budget.level === 'danger'
+            ? [el('strong', { text: `⚠️ ${category} budget exceeded!` }), ` ${formatMoney(budget.spent, stats.currency)} spent of ${formatMoney(budget.cap, stats.currency)}.`]
+            : [el('strong', { text: 'Warning:' }), ` ${category} is at ${budget.percentUsed.toFixed(0)}% of its ${formatMoney(budget.cap, stats.currency)} budget.`];
+        
+        return el('div', { className: `budget-alert ${budget.level}` }, el('p', {}, message));
+    });
+    
+    container.replaceChildren(...items);
 }
 
 function updateCategoryBreakdown() {
@@ -162,7 +416,11 @@ function updateCategoryBreakdown() {
     
     if (!container) return;
     
-    const categories = stats.categoryTotals;
+    // Categories with a cap show up even before anything is spent
+    const categories = { ...stats.categoryTotals };
+    Object.keys(stats.categoryBudgets).forEach(category => {
+        if (!categories[category]) categories[category] = 0;
+    });
     
     if (Object.keys(categories).length === 0) {
         container.innerHTML = '<p class="empty-state">No transactions yet. Start adding some!</p>';
@@ -171,18 +429,255 @@ function updateCategoryBreakdown() {
     
     // Sort categories by amount
     const sorted = Object.entries(categories).sort((a, b) => b[1] - a[1]);
+    const allCategories = getCategories(true);
+    
+    const items = sorted.map(([category, amount]) => {
+        const budget = stats.categoryBudgets[category];
+        const style = getCategoryStyle(allCategories, category);
+        let budgetInfo = null;
+        
+        if (budget) {
+            const percent = budget.percentUsed;
+            const levelClass = budget.level === 'ok' ? '' : budget.level;
+            budgetInfo = [
+                el('div', { className: 'progress-bar-container small' },
+                    el('div', {
+                        className: `progress-bar ${levelClass}`,
+                        style: { width: `${percent}%` },
+                        role: 'progressbar',
+                        'aria-valuenow': percent.toFixed(0),
+                        'aria-valuemin': '0',
+                        'aria-valuemax': '100',
+                        'aria-label': `${category} budget used`
+                    }, el('span', { className: 'progress-text', text: `${percent.toFixed(0)}%` }))
+                ),
+                el('p', { className: 'category-budget', text: `${formatMoney(budget.remaining, stats.currency)} left of ${formatMoney(budget.cap, stats.currency)} this period` })
+            ];
+        }
+        
+        return el('div', { className: 'category-item', style: { 'border-left-color': style.color } },
+            el('span', { className: 'category-name' },
+                el('span', { className: 'category-icon', 'aria-hidden': 'true', text: style.icon }),
+                ` ${category}`
+            ),
+            el('span', { className: 'category-amount', text: formatMoney(amount, stats.currency) }),
+            budgetInfo
+        );
+    });
+    
+    container.replaceChildren(...items);
+}
+
+// Bars in the budget vs. spent chart
+const BUDGET_CHART_SERIES = [
+    { name: 'Budget', color: '#adb5bd' },
+    { name: 'Spent', color: '#667eea' }
+];
+
+// Periods shown in the budget vs. spent chart (the history table has all of them)
+const BUDGET_CHART_PERIODS = 6;
+
+// Table heading for each trend interval
+const TREND_LABELS = { day: 'Day', week: 'Week starting', month: 'Month' };
+
+function updateDashboardCharts() {
+    const stats = calculateStats();
+    
+    updateCategoryChart(stats);
+    updateTrendChart(stats);
+    updateBudgetChart(stats);
+}
+
+/**
+ * Draw the spending by category donut
+ * @param {Object} stats - Result of calculateStats()
+ */
+function updateCategoryChart(stats) {
+    const container = document.getElementById('category-chart');
+    if (!container) return;
+    
+    const allCategories = getCategories(true);
+    const slices = Object.entries(stats.categoryTotals)
+        .filter(([, amount]) => amount > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, amount]) => ({
+            label: category,
+            value: amount,
+            color: getCategoryStyle(allCategories, category).color
+        }));
+    
+    // The category list below already says there is nothing yet
+    if (slices.length === 0) {
+        container.replaceChildren();
+        return;
+    }
+    
+    container.replaceChildren(createDonutChart({
+        title: 'Spending by category',
+        slices,
+        formatValue: value => formatMoney(value, stats.currency)
+    }));
+}
+
+/**
+ * Draw spending per day, week or month (picked in the trend-interval select)
+ * @param {Object} stats - Result of calculateStats()
+ */
+function updateTrendChart(stats) {
+    const container = document.getElementById('trend-chart');
+    if (!container) return;
+    
+    if (Object.keys(stats.spendingByDate).length === 0) {
+        container.innerHTML = '<p class="empty-state">No spending yet. Add an expense to see the trend.</p>';
+        return;
+    }
+    
+    const intervalSelect = document.getElementById('trend-interval');
+    const interval = intervalSelect ? intervalSelect.value : 'day';
+    const spending = Object.entries(stats.spendingByDate);
+    
+    const points = getTrendRanges(interval, getSettings().budgetPeriod).map(range => ({
+        label: range.label,
+        value: spending
+            .filter(([date]) => date >= range.start && date <= range.end)
+            .reduce((sum, [, amount]) => sum + amount, 0)
+    }));
+    
+    container.replaceChildren(createLineChart({
+        title: `Spending per ${interval}`,
+        points,
+        formatValue: value => formatMoney(value, stats.currency),
+        labelName: TREND_LABELS[interval],
+        valueName: 'Spent'
+    }));
+}
+
+/**
+ * Draw the budget next to what was spent, for recent periods and this one
+ * @param {Object} stats - Result of calculateStats()
+ */
+function updateBudgetChart(stats) {
+    const container = document.getElementById('budget-chart');
+    if (!container) return;
+    
+    const history = getBudgetHistory();
+    if (history.length === 0 && stats.budget.spent === 0) {
+        container.replaceChildren();
+        return;
+    }
+    
+    const current = {
+        ...stats.period,
+        label: `${stats.period.label} (so far)`,
+        cap: stats.budget.cap,
+        spent: stats.budget.spent,
+        remaining: stats.budget.remaining,
+        over: stats.budget.remaining < 0
+    };
+    const money = value => formatMoney(value, stats.currency);
+    
+    const groups = [...history, current].slice(-BUDGET_CHART_PERIODS).map(period => ({
+        label: period.label,
+        axisLabel: fromDateKey(period.start).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        values: [period.cap, period.spent],
+        note: period.over ? `Over by ${money(-period.remaining)}` : `Under by ${money(period.remaining)}`
+    }));
+    
+    container.replaceChildren(createBarChart({
+        title: 'Budget vs. spent per period',
+        groups,
+        series: BUDGET_CHART_SERIES,
+        formatValue: money
+    }));
+}
+
+function updateBudgetHistory() {
+    const container = document.getElementById('budget-history');
+    if (!container) return;
+    
+    const currency = getSettings().baseCurrency;
+    const history = getBudgetHistory();
+    
+    if (history.length === 0) {
+        container.innerHTML = '<p class="empty-state">No past budget periods yet.</p>';
+        return;
+    }
     
-    let html = '';
-    sorted.forEach(([category, amount]) => {
-        html += `
-            <div class="category-item">
-                <span class="category-name">${category}</span>
-                <span class="category-amount">$${amount.toFixed(2)}</span>
-            </div>
-        `;
+    // Newest first
+    const rows = [...history].reverse().map(period => {
+        const result = period.over
+            ? el('span', { className: 'history-over', text: `Over by ${formatMoney(-period.remaining, currency)}` })
+            : el('span', { className: 'history-under', text: `Under by ${formatMoney(period.remaining, currency)}` });
+        
+        return el('tr', {},
+            el('td', { text: period.label }),
+            el('td', { text: formatMoney(period.cap, currency) }),
+            el('td', { text: formatMoney(period.spent, currency) }),
+            el('td', {}, result)
+        );
     });
     
-    container.innerHTML = html;
+    container.replaceChildren(el('table', { className: 'transactions-table' },
+        el('thead', {}, el('tr', {}, ['Period', 'Budget', 'Spent', 'Result'].map(heading => el('th', { text: heading })))),
+        el('tbody', {}, rows)
+    ));
+}
+
+function updateUpcomingCharges() {
+    const container = document.getElementById('upcoming-charges');
+    if (!container) return;
+    
+    const upcoming = getUpcomingCharges(getRecurringRules());
+    
+    if (upcoming.length === 0) {
+        container.innerHTML = '<p class="empty-state">No recurring charges in the next 30 days.</p>';
+        return;
+    }
+    
+    const currency = getSettings().baseCurrency;
+    const expenses = upcoming.filter(({ rule }) => rule.type === 'expense');
+    const total = expenses.reduce((sum, { rule }) => sum + getAmountInBase(rule), 0);
+    
+    const items = upcoming.map(({ rule, date }) => renderRecentItem(
+        rule.description,
+        `${rule.category} • ${formatDueDate(date)}`,
+        formatSignedAmount(rule),
+        getTransactionType(rule)
+    ));
+    
+    items.push(el('p', { className: 'upcoming-total' },
+        'Total upcoming charges: ',
+        el('strong', { text: formatMoney(total, currency) })
+    ));
+    
+    container.replaceChildren(...items);
+}
+
+/**
+ * Build one row of a dashboard list
+ * @param {string} title - Description
+ * @param {string} meta - Line under the description
+ * @param {string} amount - Formatted amount
+ * @param {string} type - Transaction type (for the amount color)
+ * @returns {HTMLElement} Row element
+ */
+function renderRecentItem(title, meta, amount, type) {
+    return el('div', { className: 'recent-item' },
+        el('div', { className: 'recent-info' },
+            el('h4', { text: title }),
+            el('p', { className: 'recent-meta', text: meta })
+        ),
+        el('div', { className: `recent-amount ${type}`, text: amount })
+    );
+}
+
+/**
+ * Format a due date as readable text
+ * @param {string} date - Date key "YYYY-MM-DD"
+ * @returns {string} Text like "Mon, Oct 31"
+ */
+function formatDueDate(date) {
+    return fromDateKey(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
 }
 
 function updateRecentTransactions() {
@@ -201,20 +696,251 @@ function updateRecentTransactions() {
         .sort((a, b) => new Date(b.date) - new Date(a.date))
         .slice(0, 5);
     
-    let html = '';
-    recent.forEach(t => {
-        html += `
-            <div class="recent-item">
-                <div class="recent-info">
-                    <h4>${t.description}</h4>
-                    <p class="recent-meta">${t.category} • ${t.date}</p>
-                </div>
-                <div class="recent-amount">$${t.amount.toFixed(2)}</div>
-            </div>
-        `;
-    });
+    container.replaceChildren(...recent.map(t => renderRecentItem(
+        t.description,
+        `${t.category} • ${t.date}`,
+        formatSignedAmount(t),
+        getTransactionType(t)
+    )));
+}
+
+/**
+ * Format an amount with a sign showing which way the money went
+ * Income is "+", expenses are "-", transfers keep their own sign.
+ * Foreign amounts are converted, with the original shown in brackets.
+ * @param {Object} t - Transaction object
+ * @returns {string} Formatted amount like "+$150.00" or "-$7.41 (€6.30)"
+ */
+function formatSignedAmount(t) {
+    const type = getTransactionType(t);
+    let sign = t.amount < 0 ? '-' : '+';
+    if (type === 'expense') sign = '-';
+    
+    const baseCurrency = getSettings().baseCurrency;
+    const currency = getTransactionCurrency(t);
+    const converted = `${sign}${formatMoney(Math.abs(getAmountInBase(t)), baseCurrency)}`;
+    
+    if (currency === baseCurrency) {
+        return converted;
+    }
+    
+    return `${converted} (${formatMoney(Math.abs(t.amount), currency)})`;
+}
+
+/**
+ * Build the amount shown in the transactions list
+ * Shows the converted amount first and the original amount next to it
+ * @param {Object} t - Transaction object
+ * @param {Node|string} amount - Original amount (may contain highlight marks)
+ * @returns {Array} Text and elements for the amount
+ */
+function formatAmountCell(t, amount) {
+    const baseCurrency = getSettings().baseCurrency;
+    const currency = getTransactionCurrency(t);
+    const original = [getCurrencySymbol(currency), amount];
+    
+    if (currency === baseCurrency) {
+        return original;
+    }
+    
+    return [
+        `${formatMoney(getAmountInBase(t), baseCurrency)} `,
+        el('small', { className: 'original-amount' }, '(', original, ')')
+    ];
+}
+
+/**
+ * Get a readable label for a transaction type
+ * @param {Object} t - Transaction object
+ * @returns {string} Label like "Income"
+ */
+function getTypeLabel(t) {
+    const type = getTransactionType(t);
+    return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * ======================
+ * REPORTS PAGE
+ * ======================
+ */
+function initializeReports() {
+    const typeSelect = document.getElementById('report-type');
+    const monthInput = document.getElementById('report-month');
+    const yearInput = document.getElementById('report-year');
+    const printBtn = document.getElementById('print-report-btn');
+    
+    if (!typeSelect || !monthInput || !yearInput) return;
+    
+    // A bookmarked report (?month=2025-09 or ?year=2025), otherwise this month
+    const params = new URLSearchParams(window.location.search);
+    const today = toDateKey(new Date());
+    
+    typeSelect.value = params.has('year') ? 'year' : 'month';
+    monthInput.value = params.get('month') || today.slice(0, 7);
+    yearInput.value = params.get('year') || today.slice(0, 4);
+    
+    typeSelect.addEventListener('change', renderReport);
+    monthInput.addEventListener('input', renderReport);
+    yearInput.addEventListener('input', renderReport);
+    
+    if (printBtn) {
+        printBtn.addEventListener('click', () => window.print());
+    }
+    
+    renderReport();
+}
+
+/**
+ * Read the report picker
+ * @returns {Object} {type: 'month' or 'year', value: "YYYY-MM" or "YYYY"}
+ */
+function getReportSelection() {
+    const typeSelect = document.getElementById('report-type');
+    const type = typeSelect && typeSelect.value === 'year' ? 'year' : 'month';
+    const input = document.getElementById(type === 'year' ? 'report-year' : 'report-month');
+    
+    return { type, value: input ? input.value.trim() : '' };
+}
+
+function renderReport() {
+    const { type, value } = getReportSelection();
+    const monthGroup = document.getElementById('report-month-group');
+    const yearGroup = document.getElementById('report-year-group');
+    const errorEl = document.getElementById('report-error');
+    
+    if (monthGroup) monthGroup.style.display = type === 'month' ? '' : 'none';
+    if (yearGroup) yearGroup.style.display = type === 'year' ? '' : 'none';
+    
+    const validation = validateReportPeriod(type, value);
+    if (errorEl) errorEl.textContent = validation.error;
+    if (!validation.isValid) return;
+    
+    // Keep the report in the address bar so it can be bookmarked
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.searchParams.set(type, value);
+    history.replaceState(null, '', url);
+    
+    const range = getReportRange(type, type === 'year' ? `${value}-01-01` : `${value}-01`);
+    const previousRange = getReportRange(type, addDays(range.start, -1));
+    const report = calculateReport(range);
+    const previous = calculateReport(previousRange);
+    const money = amount => formatMoney(amount, report.currency);
+    
+    const titleEl = document.getElementById('report-title');
+    const comparisonEl = document.getElementById('report-comparison');
+    if (titleEl) titleEl.textContent = `📑 ${range.label} Report`;
+    if (comparisonEl) {
+        comparisonEl.textContent = `${report.count} transaction${report.count === 1 ? '' : 's'}. Changes are compared with ${previousRange.label}.`;
+    }
+    
+    const cards = {
+        spent: [report.totalSpent, previous.totalSpent],
+        income: [report.totalIncome, previous.totalIncome],
+        net: [report.net, previous.net],
+        average: [report.averagePerDay, previous.averagePerDay]
+    };
+    for (const [name, [current, before]] of Object.entries(cards)) {
+        setText(`report-${name}`, money(current));
+        setText(`report-${name}-change`, describeChange(current, before, money));
+    }
+    
+    renderReportCategories(report, previous, range, previousRange);
+    renderBiggestExpenses(report);
+}
+
+/**
+ * Set the text of an element if it is on the page
+ * @param {string} id - Element id
+ * @param {string} text - Text to show
+ */
+function setText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+/**
+ * Say how much a number went up or down since the previous period
+ * @param {number} current - This period
+ * @param {number} previous - Previous period
+ * @param {Function} formatValue - Formats the difference
+ * @returns {string} e.g. "$12.00 more (+25%)", "$3.00 less (-10%)" or "Same as before"
+ */
+function describeChange(current, previous, formatValue) {
+    const change = current - previous;
+    if (Math.abs(change) < 0.005) return 'Same as before';
+    
+    // No percent when there was nothing to compare with
+    const percent = previous !== 0
+        ? ` (${change > 0 ? '+' : '-'}${Math.abs((change / Math.abs(previous)) * 100).toFixed(0)}%)`
+        : '';
+    return `${formatValue(Math.abs(change))} ${change > 0 ? 'more' : 'less'}${percent}`;
+}
+
+/**
+ * Show spending per category next to the previous period
+ * @param {Object} report - calculateReport() for the chosen period
+ * @param {Object} previous - calculateReport() for the period before
+ * @param {Object} range - Chosen period {label}
+ * @param {Object} previousRange - Period before {label}
+ */
+function renderReportCategories(report, previous, range, previousRange) {
+    const container = document.getElementById('report-categories');
+    if (!container) return;
+    
+    const categories = [...new Set([...Object.keys(report.byCategory), ...Object.keys(previous.byCategory)])]
+        .map(category => [category, report.byCategory[category] || 0, previous.byCategory[category] || 0])
+        .sort((a, b) => b[1] - a[1] || b[2] - a[2]);
+    
+    if (categories.length === 0) {
+        container.replaceChildren(el('p', { className: 'empty-state', text: 'No spending in this period or the one before.' }));
+        return;
+    }
     
-    container.innerHTML = html;
+    const money = amount => formatMoney(amount, report.currency);
+    const allCategories = getCategories(true);
+    
+    container.replaceChildren(el('table', { className: 'transactions-table report-table' },
+        el('thead', {}, el('tr', {},
+            ['Category', range.label, previousRange.label, 'Change'].map(heading => el('th', { scope: 'col', text: heading }))
+        )),
+        el('tbody', {}, categories.map(([category, amount, before]) => el('tr', {},
+            el('td', {},
+                el('span', { className: 'category-icon', 'aria-hidden': 'true', text: getCategoryStyle(allCategories, category).icon }),
+                ` ${category}`
+            ),
+            el('td', { text: money(amount) }),
+            el('td', { text: money(before) }),
+            el('td', { text: describeChange(amount, before, money) })
+        )))
+    ));
+}
+
+/**
+ * List the biggest single expenses of the period
+ * @param {Object} report - calculateReport() for the chosen period
+ */
+function renderBiggestExpenses(report) {
+    const container = document.getElementById('report-biggest');
+    if (!container) return;
+    
+    if (report.biggestExpenses.length === 0) {
+        container.replaceChildren(el('p', { className: 'empty-state', text: 'No spending in this period.' }));
+        return;
+    }
+    
+    container.replaceChildren(el('table', { className: 'transactions-table report-table' },
+        el('thead', {}, el('tr', {},
+            ['Date', 'Description', 'Category', 'Amount'].map(heading => el('th', { scope: 'col', text: heading }))
+        )),
+        el('tbody', {}, report.biggestExpenses.map(t => el('tr', {},
+            el('td', { text: t.date }),
+            el('td', { text: t.description }),
+            el('td', { text: t.category }),
+            el('td', { text: formatMoney(t.amountInBase, report.currency) })
+        )))
+    ));
 }
 
 /**
@@ -224,7 +950,11 @@ function updateRecentTransactions() {
  */
 function initializeTransactions() {
     setupTransactionForm();
+    setupRecurringForm();
     setupSearchAndSort();
+    setupCsvExport();
+    setupUndoShortcuts();
+    setupTrash();
     renderTransactions();
 }
 
@@ -232,11 +962,8 @@ function setupTransactionForm() {
     const form = document.getElementById('transaction-form');
     if (!form) return;
     
-    // Set today's date as default
-    const dateInput = document.getElementById('date');
-    if (dateInput && !dateInput.value) {
-        dateInput.value = new Date().toISOString().split('T')[0];
-    }
+    // Set today's date and the display currency as defaults
+    setFormDefaults();
     
     // Form submission
     form.addEventListener('submit', handleFormSubmit);
@@ -252,56 +979,210 @@ function setupTransactionForm() {
     inputs.forEach(input => {
         input.addEventListener('blur', () => validateField(input));
     });
+    
+    setupCategorySuggestions();
 }
 
-function handleFormSubmit(e) {
-    e.preventDefault();
+// Category suggested for the description being typed (null if none)
+let categorySuggestion = null;
+
+/**
+ * Suggest a category (and usual amount) while the description is typed
+ * Tab in the description field or the Use button accepts it.
+ */
+function setupCategorySuggestions() {
+    const descriptionInput = document.getElementById('description');
+    if (!descriptionInput) return;
+    
+    descriptionInput.addEventListener('input', updateCategorySuggestion);
+    ['type', 'currency', 'category'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', updateCategorySuggestion);
+    });
     
-    const form = e.target;
-    const formData = {
-        description: form.description.value,
-        amount: form.amount.value,
-        category: form.category.value,
-        date: form.date.value
-    };
+    // Focus still moves on to the amount as usual
+    descriptionInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab' && !e.shiftKey && categorySuggestion) {
+            acceptCategorySuggestion();
+        }
+    });
+}
+
+function updateCategorySuggestion() {
+    const container = document.getElementById('category-suggestion');
+    const descriptionInput = document.getElementById('description');
+    const categorySelect = document.getElementById('category');
+    const typeSelect = document.getElementById('type');
+    const currencySelect = document.getElementById('currency');
+    
+    const currency = currencySelect ? currencySelect.value : getSettings().baseCurrency;
+    categorySuggestion = null;
+    
+    // Only until a category has been picked
+    if (descriptionInput && categorySelect && !categorySelect.value) {
+        categorySuggestion = suggestCategory(descriptionInput.value, {
+            transactions: getTransactions(),
+            rules: getCategoryRules(),
+            categories: getPickableCategoryNames()
+        }, {
+            type: typeSelect ? typeSelect.value : 'expense',
+            currency
+        });
+    }
     
-    // Validate
-    const validation = validateTransaction(formData);
+    if (!container) return;
     
-    if (!validation.isValid) {
-        displayFormErrors(validation.errors);
+    if (!categorySuggestion) {
+        container.replaceChildren();
         return;
     }
     
-    // Clear errors
-    clearFormErrors();
+    const { category, amount, source, keyword } = categorySuggestion;
+    const usually = amount !== null ? `, usually ${formatMoney(amount, currency)}` : '';
+    const reason = source === 'rule' ? ` (your rule for "${keyword}")` : '';
+    
+    container.replaceChildren(
+        '💡 Suggested: ',
+        el('strong', { text: category }),
+        `${usually}${reason}. Press Tab to use it. `,
+        el('button', {
+            type: 'button',
+            className: 'btn-edit',
+            'aria-label': `Use suggested category ${category}`,
+            onclick: () => {
+                acceptCategorySuggestion();
+                descriptionInput.focus();
+            }
+        }, 'Use')
+    );
+}
+
+/**
+ * Fill in the suggested category, and the usual amount if none was typed
+ */
+function acceptCategorySuggestion() {
+    if (!categorySuggestion) return;
     
-    // Check if editing or adding
-    const editId = getCurrentEditId();
+    const categorySelect = document.getElementById('category');
+    const amountInput = document.getElementById('amount');
     
-    if (editId) {
-        // Update existing
-        updateTransaction(editId, formData);
-        showFormStatus('Transaction updated successfully!', 'success');
-        cancelEdit();
-    } else {
-        // Add new
-        addTransaction(formData);
-        showFormStatus('Transaction added successfully!', 'success');
-        form.reset();
-        
-        // Reset date to today
-        const dateInput = document.getElementById('date');
-        if (dateInput) {
-            dateInput.value = new Date().toISOString().split('T')[0];
-        }
+    if (categorySelect) {
+        categorySelect.value = categorySuggestion.category;
+        validateField(categorySelect);
+    }
+    if (amountInput && !amountInput.value && categorySuggestion.amount !== null) {
+        amountInput.value = categorySuggestion.amount.toFixed(2);
     }
     
-    // Re-render transactions
-    renderTransactions();
-    
-    // Update dashboard if on that page
-    if (getCurrentPage() === 'dashboard') {
+    updateCategorySuggestion();
+}
+
+/**
+ * Fill a category dropdown from the category list in settings
+ * @param {HTMLSelectElement} select - Dropdown to fill
+ * @param {string} selected - Category to keep selected (added even if archived)
+ */
+function populateCategorySelect(select, selected = '') {
+    if (!select) return;
+    
+    const names = getPickableCategoryNames(selected);
+    const allCategories = getCategories(true);
+    
+    const options = names.map(name => {
+        const style = getCategoryStyle(allCategories, name);
+        return new Option(`${style.icon} ${name}`, name);
+    });
+    
+    select.replaceChildren(new Option('-- Select Category --', ''), ...options);
+    select.value = selected;
+}
+
+/**
+ * Get the category names that can be picked right now
+ * @param {string} current - Category of the record being edited (allowed even if archived)
+ * @returns {Array} Category names
+ */
+function getPickableCategoryNames(current = '') {
+    const names = getCategories().map(c => c.name);
+    
+    if (current && !names.includes(current)) {
+        names.push(current);
+    }
+    
+    return names;
+}
+
+/**
+ * Fill the form with default values
+ * Date is today, currency is the display currency
+ */
+function setFormDefaults() {
+    populateCategorySelect(document.getElementById('category'));
+    
+    const dateInput = document.getElementById('date');
+    if (dateInput && !dateInput.value) {
+        dateInput.value = new Date().toISOString().split('T')[0];
+    }
+    
+    const currencySelect = document.getElementById('currency');
+    if (currencySelect) {
+        currencySelect.value = getSettings().baseCurrency;
+    }
+    
+    updateCategorySuggestion();
+}
+
+function handleFormSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const formData = {
+        type: form.type.value,
+        description: form.description.value,
+        amount: form.amount.value,
+        currency: form.currency.value,
+        category: form.category.value,
+        date: form.date.value
+    };
+    
+    // Validate (an archived category is fine when it is the one already saved)
+    const editing = getTransactions().find(t => t.id === getCurrentEditId());
+    const validation = validateTransaction(formData, {
+        categories: getPickableCategoryNames(editing ? editing.category : '')
+    });
+    
+    if (!validation.isValid) {
+        displayFormErrors(validation.errors);
+        return;
+    }
+    
+    // Clear errors
+    clearFormErrors();
+    
+    // Check if editing or adding
+    const editId = getCurrentEditId();
+    
+    if (editId) {
+        // Update existing
+        updateTransaction(editId, formData);
+        showFormStatus('Transaction updated successfully!', 'success');
+        showUndoToast(`Updated "${formData.description}"`);
+        cancelEdit();
+    } else {
+        // Add new
+        addTransaction(formData);
+        showFormStatus('Transaction added successfully!', 'success');
+        form.reset();
+        
+        // Reset date to today
+        setFormDefaults();
+    }
+    
+    // Re-render transactions
+    renderTransactions();
+    
+    // Update dashboard if on that page
+    if (getCurrentPage() === 'dashboard') {
         updateDashboardStats();
         updateBudgetDisplay();
     }
@@ -317,11 +1198,17 @@ function validateField(input) {
     if (name === 'description') {
         validation = validateDescription(value);
     } else if (name === 'amount') {
-        validation = validateAmount(value);
+        const typeSelect = document.getElementById('type');
+        validation = validateAmount(value, typeSelect ? typeSelect.value : 'expense');
+    } else if (name === 'type') {
+        validation = validateType(value);
+    } else if (name === 'currency') {
+        validation = validateCurrency(value);
     } else if (name === 'date') {
         validation = validateDate(value);
     } else if (name === 'category') {
-        validation = validateCategory(value);
+        const editing = getTransactions().find(t => t.id === getCurrentEditId());
+        validation = validateCategory(value, getPickableCategoryNames(editing ? editing.category : ''));
     }
     
     if (validation && !validation.isValid) {
@@ -365,275 +1252,1829 @@ function showFormStatus(message, type) {
     }, 3000);
 }
 
+// Example shown in the search box for each mode
+const SEARCH_PLACEHOLDERS = {
+    query: 'e.g., category:Food amount:>20 date:2025-09',
+    fuzzy: 'e.g., breakfst or chez bosco (typos are fine)',
+    regex: 'e.g., coffee|tea or ^\\d{2}\\.\\d{2}$'
+};
+
+// Wait for a pause in typing before searching (milliseconds)
+const SEARCH_DELAY = 250;
+let searchTimer = null;
+
 function setupSearchAndSort() {
     const searchInput = document.getElementById('search-input');
     const caseSensitiveCheckbox = document.getElementById('case-sensitive');
+    const searchMode = document.getElementById('search-mode');
     const sortSelect = document.getElementById('sort-by');
-    const searchError = document.getElementById('search-error');
     
     if (searchInput) {
         searchInput.addEventListener('input', () => {
-            const pattern = searchInput.value;
-            const validation = validateSearchPattern(pattern);
-            
-            if (!validation.isValid) {
-                if (searchError) searchError.textContent = validation.error;
-            } else {
-                if (searchError) searchError.textContent = '';
-                renderTransactions();
-            }
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(handleSearchChange, SEARCH_DELAY);
         });
     }
     
     if (caseSensitiveCheckbox) {
-        caseSensitiveCheckbox.addEventListener('change', renderTransactions);
+        caseSensitiveCheckbox.addEventListener('change', handleSearchChange);
+    }
+    
+    if (searchMode) {
+        searchMode.addEventListener('change', () => {
+            // Fuzzy results are best shown best first
+            if (sortSelect && searchMode.value === 'fuzzy') {
+                sortSelect.value = 'relevance';
+            } else if (sortSelect && sortSelect.value === 'relevance') {
+                sortSelect.value = DEFAULT_FILTERS.sortBy;
+            }
+            updateSearchPlaceholder();
+            handleSearchChange();
+        });
     }
     
     if (sortSelect) {
-        sortSelect.addEventListener('change', renderTransactions);
+        sortSelect.addEventListener('change', () => {
+            rememberFilters();
+            renderTransactions();
+        });
     }
+    
+    setupListFilters();
+    
+    // A bookmarked address wins over the search from last time
+    showFilters({ ...getFilters(), ...readFiltersFromUrl() });
+    setupFilterPresets();
+    rememberFilters();
+    showSearchError();
+    showFilterError();
 }
 
-function renderTransactions() {
-    let transactions = getTransactions();
+/**
+ * Save the search, then show the list (or explain what's wrong with the search)
+ */
+function handleSearchChange() {
+    clearTimeout(searchTimer);
+    rememberFilters();
     
-    // Apply search filter
+    if (parseSearch(getSearchOptions()).isValid) {
+        renderTransactions();
+    }
+    showSearchError();
+}
+
+/**
+ * Show or clear the search error, and warn about slow regex patterns
+ * @returns {boolean} True if the search is valid
+ */
+function showSearchError() {
+    const searchError = document.getElementById('search-error');
+    const searchWarning = document.getElementById('search-warning');
+    const options = getSearchOptions();
+    const validation = parseSearch(options);
+    
+    let error = validation.error;
+    if (validation.isValid) {
+        // A regex search that ran out of time
+        error = isGuardedSearch(options, validation) ? guardedSearch.error : '';
+    }
+    
+    if (searchError) searchError.textContent = error;
+    if (searchWarning) searchWarning.textContent = (validation.isValid && options.text && validation.warning) || '';
+    return validation.isValid;
+}
+
+function updateSearchPlaceholder() {
     const searchInput = document.getElementById('search-input');
-    const caseSensitiveCheckbox = document.getElementById('case-sensitive');
+    const searchMode = document.getElementById('search-mode');
+    
+    if (searchInput && searchMode) {
+        searchInput.placeholder = SEARCH_PLACEHOLDERS[searchMode.value];
+    }
+}
+
+// Names of the filters in the address bar (?q=coffee&sort=amount-desc&cat=Food,Books)
+const FILTER_PARAMS = {
+    searchPattern: 'q',
+    searchMode: 'mode',
+    caseSensitive: 'case',
+    sortBy: 'sort',
+    dateRange: 'range',
+    dateFrom: 'from',
+    dateTo: 'to',
+    categories: 'cat',
+    amountMin: 'min',
+    amountMax: 'max'
+};
+
+/**
+ * Write one filter as address bar text
+ * @param {string} key - Filter name
+ * @param {*} value - Filter value
+ * @returns {string} Text for the address bar
+ */
+function toFilterParam(key, value) {
+    if (key === 'categories') return (value || []).join(',');
+    if (key === 'caseSensitive') return value ? '1' : '';
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Check if two sets of filters show the same list
+ * @param {Object} a - Filters
+ * @param {Object} b - Filters
+ * @returns {boolean} True if every filter is the same
+ */
+function isSameFilters(a, b) {
+    return Object.keys(FILTER_PARAMS).every(key => toFilterParam(key, a[key]) === toFilterParam(key, b[key]));
+}
+
+/**
+ * Read the filters in the address bar (only the ones it has)
+ * @returns {Object} Filter updates
+ */
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+    
+    for (const [key, name] of Object.entries(FILTER_PARAMS)) {
+        if (!params.has(name)) continue;
+        
+        const value = params.get(name);
+        if (key === 'caseSensitive') {
+            filters[key] = value === '1';
+        } else if (key === 'categories') {
+            filters[key] = value ? value.split(',') : [];
+        } else {
+            filters[key] = value;
+        }
+    }
+    
+    return filters;
+}
+
+/**
+ * Put the filters in the address bar, leaving out the defaults
+ * replaceState is used so the back button doesn't step through every keypress
+ * @param {Object} filters - Filters from readFiltersFromPage()
+ */
+function writeFiltersToUrl(filters) {
+    const url = new URL(window.location.href);
     
-    if (searchInput && searchInput.value) {
-        const caseSensitive = caseSensitiveCheckbox ? caseSensitiveCheckbox.checked : false;
-        const regex = compileRegex(searchInput.value, caseSensitive);
+    for (const [key, name] of Object.entries(FILTER_PARAMS)) {
+        const value = toFilterParam(key, filters[key]);
         
-        if (regex) {
-            transactions = searchTransactions(transactions, regex);
+        if (value === toFilterParam(key, DEFAULT_FILTERS[key])) {
+            url.searchParams.delete(name);
+        } else {
+            url.searchParams.set(name, value);
         }
     }
     
-    // Apply sorting
+    history.replaceState(null, '', url);
+}
+
+/**
+ * Fill the search and filter controls
+ * Unknown modes, sort orders or ranges (e.g., from an edited address) are ignored
+ * @param {Object} filters - Filters (missing ones use the defaults)
+ */
+function showFilters(filters) {
+    const values = { ...DEFAULT_FILTERS, ...filters };
+    const searchInput = document.getElementById('search-input');
+    const searchMode = document.getElementById('search-mode');
+    const caseSensitiveCheckbox = document.getElementById('case-sensitive');
     const sortSelect = document.getElementById('sort-by');
-    const sortBy = sortSelect ? sortSelect.value : 'date-desc';
-    transactions = sortTransactions(transactions, sortBy);
+    const hasOption = (select, value) => [...select.options].some(option => option.value === value);
     
-    // Update count
-    const showingCount = document.getElementById('showing-count');
-    const totalCount = document.getElementById('total-count');
+    if (searchInput) searchInput.value = values.searchPattern;
+    if (caseSensitiveCheckbox) caseSensitiveCheckbox.checked = Boolean(values.caseSensitive);
+    if (searchMode && hasOption(searchMode, values.searchMode)) searchMode.value = values.searchMode;
+    if (sortSelect && hasOption(sortSelect, values.sortBy)) sortSelect.value = values.sortBy;
     
-    if (showingCount) showingCount.textContent = transactions.length;
-    if (totalCount) totalCount.textContent = getTransactions().length;
+    updateSearchPlaceholder();
     
-    // Render desktop table
-    renderDesktopTable(transactions);
+    const dateRange = document.getElementById('filter-date-range');
+    if (dateRange) dateRange.value = hasOption(dateRange, values.dateRange) ? values.dateRange : 'custom';
     
-    // Render mobile cards
-    renderMobileCards(transactions);
-}
-
-function renderDesktopTable(transactions) {
-    const tbody = document.getElementById('transactions-tbody');
-    if (!tbody) return;
+    // Quick ranges move with today, so "This month" is always this month
+    const quickRange = getQuickRange(values.dateRange, getSettings().budgetPeriod);
+    setInputValue('filter-date-from', quickRange ? quickRange.start : values.dateFrom);
+    setInputValue('filter-date-to', quickRange ? quickRange.end : values.dateTo);
+    setInputValue('filter-amount-min', values.amountMin);
+    setInputValue('filter-amount-max', values.amountMax);
     
-    if (transactions.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No transactions found.</td></tr>';
-        return;
+    const categorySelect = document.getElementById('filter-categories');
+    if (categorySelect) {
+        [...categorySelect.options].forEach(option => {
+            option.selected = values.categories.includes(option.value);
+        });
     }
+}
+
+/**
+ * Set an input's value if it is on the page
+ * @param {string} id - Input id
+ * @param {string} value - New value
+ */
+function setInputValue(id, value) {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+}
+
+/**
+ * Read every search and filter control
+ * @returns {Object} Filters in the same shape as DEFAULT_FILTERS
+ */
+function readFiltersFromPage() {
+    const options = getSearchOptions();
+    const sortSelect = document.getElementById('sort-by');
     
-    const searchInput = document.getElementById('search-input');
-    const caseSensitiveCheckbox = document.getElementById('case-sensitive');
-    const regex = searchInput && searchInput.value 
-        ? compileRegex(searchInput.value, caseSensitiveCheckbox ? caseSensitiveCheckbox.checked : false)
-        : null;
-    
-    let html = '';
-    transactions.forEach(t => {
-        const description = regex ? highlightMatches(t.description, regex) : t.description;
-        const amount = regex ? highlightMatches(t.amount.toString(), regex) : t.amount.toFixed(2);
-        const category = regex ? highlightMatches(t.category, regex) : t.category;
-        const date = regex ? highlightMatches(t.date, regex) : t.date;
-        
-        html += `
-            <tr>
-                <td>${description}</td>
-                <td>$${amount}</td>
-                <td>${category}</td>
-                <td>${date}</td>
-                <td>
-                    <div class="action-buttons">
-                        <button class="btn-edit" onclick="window.editTransaction('${t.id}')" aria-label="Edit ${t.description}">Edit</button>
-                        <button class="btn-delete" onclick="window.confirmDelete('${t.id}')" aria-label="Delete ${t.description}">Delete</button>
-                    </div>
-                </td>
-            </tr>
-        `;
-    });
-    
-    tbody.innerHTML = html;
+    return {
+        searchPattern: options.text,
+        searchMode: options.mode,
+        caseSensitive: options.caseSensitive,
+        sortBy: sortSelect ? sortSelect.value : DEFAULT_FILTERS.sortBy,
+        ...getListFilters()
+    };
 }
 
-function renderMobileCards(transactions) {
-    const container = document.getElementById('transactions-cards');
-    if (!container) return;
+/**
+ * Save what the controls show, update the address bar
+ * and select the matching preset (if any)
+ */
+function rememberFilters() {
+    const filters = readFiltersFromPage();
     
-    if (transactions.length === 0) {
-        container.innerHTML = '<p class="empty-state">No transactions found.</p>';
-        return;
-    }
+    updateFilters(filters);
+    writeFiltersToUrl(filters);
     
-    const searchInput = document.getElementById('search-input');
-    const caseSensitiveCheckbox = document.getElementById('case-sensitive');
-    const regex = searchInput && searchInput.value 
-        ? compileRegex(searchInput.value, caseSensitiveCheckbox ? caseSensitiveCheckbox.checked : false)
-        : null;
-    
-    let html = '';
-    transactions.forEach(t => {
-        const description = regex ? highlightMatches(t.description, regex) : t.description;
-        const amount = regex ? highlightMatches(t.amount.toString(), regex) : t.amount.toFixed(2);
-        const category = regex ? highlightMatches(t.category, regex) : t.category;
-        const date = regex ? highlightMatches(t.date, regex) : t.date;
-        
-        html += `
-            <div class="transaction-card">
-                <div class="card-header">
-                    <div class="card-description">${description}</div>
-                    <div class="card-amount">$${amount}</div>
-                </div>
-                <div class="card-meta">
-                    <span>${category}</span>
-                    <span>${date}</span>
-                </div>
-                <div class="card-actions">
-                    <button class="btn-edit" onclick="window.editTransaction('${t.id}')">Edit</button>
-                    <button class="btn-delete" onclick="window.confirmDelete('${t.id}')">Delete</button>
-                </div>
-            </div>
-        `;
-    });
-    
-    container.innerHTML = html;
+    const match = getFilterPresets().find(p => isSameFilters(p, filters));
+    selectPreset(match ? match.name : '');
 }
 
-// Make functions available globally for onclick handlers
-window.editTransaction = function(id) {
-    const transaction = getTransactions().find(t => t.id === id);
-    if (!transaction) return;
-    
-    // Fill form
-    document.getElementById('description').value = transaction.description;
-    document.getElementById('amount').value = transaction.amount;
-    document.getElementById('category').value = transaction.category;
-    document.getElementById('date').value = transaction.date;
+/**
+ * Date range, category and amount filters
+ */
+function setupListFilters() {
+    const dateRange = document.getElementById('filter-date-range');
+    if (!dateRange) return;
+    
+    renderCategoryFilter();
+    
+    // Picking a quick range fills in the dates
+    dateRange.addEventListener('change', () => {
+        const range = getQuickRange(dateRange.value, getSettings().budgetPeriod);
+        if (range || dateRange.value === '') {
+            setInputValue('filter-date-from', range ? range.start : '');
+            setInputValue('filter-date-to', range ? range.end : '');
+        }
+        handleFilterChange();
+    });
     
-    // Update UI
-    document.getElementById('btn-text').textContent = 'Update Transaction';
-    document.getElementById('cancel-btn').style.display = 'inline-block';
+    // Typing a date makes it a custom range
+    ['filter-date-from', 'filter-date-to'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('change', () => {
+            const from = document.getElementById('filter-date-from');
+            const to = document.getElementById('filter-date-to');
+            dateRange.value = from.value || to.value ? 'custom' : '';
+            handleFilterChange();
+        });
+    });
     
-    // Set edit ID
-    setCurrentEditId(id);
+    ['filter-categories', 'filter-amount-min', 'filter-amount-max'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', handleFilterChange);
+    });
     
-    // Scroll to form
-    document.getElementById('transaction-form').scrollIntoView({ behavior: 'smooth' });
-};
+    const clearBtn = document.getElementById('clear-filters-btn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            const { dateRange: range, dateFrom, dateTo, categories, amountMin, amountMax } = DEFAULT_FILTERS;
+            showFilters({ ...readFiltersFromPage(), dateRange: range, dateFrom, dateTo, categories, amountMin, amountMax });
+            handleFilterChange();
+        });
+    }
+}
 
-window.confirmDelete = function(id) {
-    const modal = document.getElementById('delete-modal');
-    if (!modal) return;
-    
-    modal.style.display = 'flex';
-    
-    // Set up confirm button
-    const confirmBtn = document.getElementById('confirm-delete');
-    const cancelBtn = document.getElementById('cancel-delete');
+/**
+ * Fill the category filter, keeping what was selected
+ * (names are typed by the user, so options are built with the DOM)
+ */
+function renderCategoryFilter() {
+    const categorySelect = document.getElementById('filter-categories');
+    if (!categorySelect) return;
+    
+    const selected = getListFilters().categories;
+    const options = getCategories(true).map(c => {
+        const option = new Option(c.archived ? `${c.name} (archived)` : c.name, c.name);
+        option.selected = selected.includes(c.name);
+        return option;
+    });
     
-    confirmBtn.onclick = () => {
-        deleteTransaction(id);
-        modal.style.display = 'none';
-        renderTransactions();
-        
-        // Update dashboard if exists
-        if (getCurrentPage() === 'dashboard') {
-            updateDashboardStats();
-            updateBudgetDisplay();
-        }
+    categorySelect.replaceChildren(...options);
+}
+
+/**
+ * Read the date, category and amount filters
+ * @returns {Object} {dateRange, dateFrom, dateTo, categories, amountMin, amountMax}
+ */
+function getListFilters() {
+    const value = id => {
+        const input = document.getElementById(id);
+        return input ? input.value : '';
     };
-    
-    cancelBtn.onclick = () => {
-        modal.style.display = 'none';
+    const categorySelect = document.getElementById('filter-categories');
+    
+    return {
+        dateRange: value('filter-date-range'),
+        dateFrom: value('filter-date-from'),
+        dateTo: value('filter-date-to'),
+        categories: categorySelect ? [...categorySelect.selectedOptions].map(option => option.value) : [],
+        amountMin: value('filter-amount-min'),
+        amountMax: value('filter-amount-max')
     };
-};
+}
 
-function cancelEdit() {
-    setCurrentEditId(null);
+/**
+ * Save the filters, then show the list (or explain what's wrong with them)
+ */
+function handleFilterChange() {
+    rememberFilters();
+    showFilterError();
+    renderTransactions();
+}
+
+function showFilterError() {
+    const filterError = document.getElementById('filter-error');
+    const validation = validateListFilters(getListFilters());
+    if (filterError) filterError.textContent = validation.error;
+}
+
+function setupFilterPresets() {
+    const presetSelect = document.getElementById('filter-preset');
+    const deleteBtn = document.getElementById('delete-preset-btn');
+    const form = document.getElementById('preset-form');
+    if (!presetSelect || !form) return;
+    
+    renderFilterPresets();
+    
+    presetSelect.addEventListener('change', () => {
+        const preset = getFilterPresets().find(p => p.name === presetSelect.value);
+        if (!preset) {
+            selectPreset('');
+            return;
+        }
+        
+        showFilters(preset);
+        handleSearchChange();
+    });
     
-    const form = document.getElementById('transaction-form');
-    if (form) form.reset();
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            const name = presetSelect.value;
+            if (!name || !confirm(`Delete the saved search "${name}"?`)) return;
+            
+            deleteFilterPreset(name);
+            renderFilterPresets();
+        });
+    }
     
-    const dateInput = document.getElementById('date');
-    if (dateInput) {
-        dateInput.value = new Date().toISOString().split('T')[0];
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const input = document.getElementById('preset-name');
+        const errorEl = document.getElementById('preset-error');
+        const validation = validatePresetName(input.value);
+        
+        if (!validation.isValid) {
+            if (errorEl) errorEl.textContent = validation.error;
+            return;
+        }
+        
+        const existing = getFilterPresets().find(p => p.name.toLowerCase() === input.value.toLowerCase());
+        if (existing && !confirm(`Replace the saved search "${existing.name}"?`)) return;
+        
+        if (errorEl) errorEl.textContent = '';
+        const preset = saveFilterPreset(input.value);
+        input.value = '';
+        renderFilterPresets(preset.name);
+    });
+}
+
+/**
+ * Fill the saved searches list
+ * (names are typed by the user, so options are built with the DOM)
+ * @param {string} selected - Name to select
+ */
+function renderFilterPresets(selected = '') {
+    const presetSelect = document.getElementById('filter-preset');
+    if (!presetSelect) return;
+    
+    const placeholder = new Option('Choose a saved search', '');
+    const options = getFilterPresets().map(p => new Option(p.name, p.name));
+    presetSelect.replaceChildren(placeholder, ...options);
+    
+    selectPreset(selected);
+}
+
+/**
+ * Show which saved search is active
+ * @param {string} name - Preset name, or '' for none
+ */
+function selectPreset(name) {
+    const presetSelect = document.getElementById('filter-preset');
+    const deleteBtn = document.getElementById('delete-preset-btn');
+    
+    if (presetSelect) presetSelect.value = name;
+    if (deleteBtn) deleteBtn.disabled = !name;
+}
+
+/**
+ * Read the search box, mode and case option
+ * @returns {Object} {text, mode, caseSensitive}
+ */
+function getSearchOptions() {
+    const searchInput = document.getElementById('search-input');
+    const searchMode = document.getElementById('search-mode');
+    const caseSensitiveCheckbox = document.getElementById('case-sensitive');
+    
+    return {
+        text: searchInput ? searchInput.value : '',
+        mode: searchMode ? searchMode.value : 'query',
+        caseSensitive: caseSensitiveCheckbox ? caseSensitiveCheckbox.checked : false
+    };
+}
+
+/**
+ * Check the search text for the chosen mode
+ * @param {Object} options - From getSearchOptions()
+ * @returns {Object} {isValid, error, query}
+ */
+function parseSearch({ text, mode, caseSensitive }) {
+    if (mode === 'fuzzy') {
+        // Anything can be searched fuzzily
+        return { isValid: true, error: '', query: null };
+    }
+    if (mode === 'regex') {
+        return { ...validateSearchPattern(text), query: null };
+    }
+    return parseQuery(text, { caseSensitive });
+}
+
+// Matched characters from the last fuzzy search, by transaction id
+let fuzzyMatches = new Map();
+
+// Last regex search from searchGuard.js: {key, ids, highlights, error}
+// ids is a Set (null shows everything), highlights has positions by transaction id
+let guardedSearch = { key: '', ids: null, highlights: new Map(), error: '' };
+
+// Key of the regex search still running ('' if none)
+let runningSearchKey = '';
+
+/**
+ * Check if a search has to run with a time limit (it uses a regex)
+ * @param {Object} options - From getSearchOptions()
+ * @param {Object} validation - From parseSearch()
+ * @returns {boolean} True for regex mode and queries with a /regex/
+ */
+function isGuardedSearch(options, validation) {
+    if (!options.text || !validation.isValid) return false;
+    return options.mode === 'regex' || (options.mode === 'query' && hasRegexTerms(validation.query));
+}
+
+/**
+ * Search with a regex away from the page, with a time limit
+ * The list stays as it was until the results come back, then it is shown again.
+ * @param {Array} transactions - Transactions to search
+ * @param {Object} options - From getSearchOptions()
+ * @returns {Array} Matches of the last finished search
+ */
+function applyGuardedSearch(transactions, options) {
+    const searchable = transactions.map(t => ({ ...t, amountInBase: getAmountInBase(t) }));
+    const key = JSON.stringify([options, searchable.map(t => [t.id, t.updatedAt, t.amountInBase])]);
+    
+    if (key !== guardedSearch.key && key !== runningSearchKey) {
+        runningSearchKey = key;
+        guardedSearch.error = '';
+        
+        searchWithTimeLimit(searchable, options)
+            .then(results => {
+                // null means a newer search replaced this one
+                if (!results) return;
+                guardedSearch = {
+                    key,
+                    ids: new Set(results.map(result => result.id)),
+                    highlights: new Map(results.map(result => [result.id, result.highlights])),
+                    error: ''
+                };
+                runningSearchKey = '';
+                renderTransactions();
+                showSearchError();
+            })
+            .catch(error => {
+                guardedSearch = { key, ids: null, highlights: new Map(), error: error.message };
+                runningSearchKey = '';
+                renderTransactions();
+                showSearchError();
+            });
+    }
+    
+    const { ids } = guardedSearch;
+    return ids ? transactions.filter(t => ids.has(t.id)) : transactions;
+}
+
+/**
+ * Keep only the transactions that match the search
+ * An invalid search shows everything (the error explains why)
+ * @param {Array} transactions - Transactions to search
+ * @returns {Array} Matching transactions (best first in fuzzy mode)
+ */
+function applySearch(transactions) {
+    const options = getSearchOptions();
+    const validation = parseSearch(options);
+    
+    if (isGuardedSearch(options, validation)) {
+        return applyGuardedSearch(transactions, options);
+    }
+    
+    // Nothing to wait for anymore
+    cancelSearch();
+    runningSearchKey = '';
+    if (!options.text) return transactions;
+    
+    if (options.mode === 'fuzzy') {
+        const results = fuzzySearch(transactions, options.text);
+        fuzzyMatches = new Map(results.map(result => [result.transaction.id, result.positions]));
+        return results.map(result => result.transaction);
+    }
+    
+    return filterByQuery(transactions, validation.query, getAmountInBase);
+}
+
+/**
+ * Work out what to highlight in each column
+ * @returns {Function} Takes a transaction and returns {description, amount, category, date}
+ *   with a regex or matched positions (see findMatches) for each, or nothing
+ */
+function getSearchHighlighter() {
+    const options = getSearchOptions();
+    if (!options.text) return () => ({});
+    
+    if (options.mode === 'fuzzy') {
+        return t => fuzzyMatches.get(t.id) || {};
+    }
+    
+    const validation = parseSearch(options);
+    if (isGuardedSearch(options, validation)) {
+        // Found in the worker, so the regex never runs on the page
+        return t => guardedSearch.highlights.get(t.id) || {};
+    }
+    
+    const { query } = validation;
+    const highlights = {
+        description: getQueryHighlightRegex(query, 'description', options.caseSensitive),
+        category: getQueryHighlightRegex(query, 'category', options.caseSensitive)
+    };
+    return () => highlights;
+}
+
+// The filtered and sorted list currently on screen (used by CSV export)
+let visibleTransactions = [];
+
+function renderTransactions() {
+    // Apply search filter
+    let transactions = applySearch(getTransactions());
+    
+    // Apply date, category and amount filters (skipped while they have an error)
+    const listFilters = getListFilters();
+    if (validateListFilters(listFilters).isValid) {
+        transactions = filterTransactions(transactions, listFilters, getAmountInBase);
+    }
+    
+    // Apply sorting (relevance only means something for a fuzzy search)
+    const sortSelect = document.getElementById('sort-by');
+    const options = getSearchOptions();
+    let sortBy = sortSelect ? sortSelect.value : 'date-desc';
+    if (sortBy === 'relevance' && !(options.mode === 'fuzzy' && options.text)) {
+        sortBy = 'date-desc';
+    }
+    transactions = sortTransactions(transactions, sortBy, getAmountInBase);
+    visibleTransactions = transactions;
+    
+    // Update count
+    const showingCount = document.getElementById('showing-count');
+    const totalCount = document.getElementById('total-count');
+    
+    if (showingCount) showingCount.textContent = transactions.length;
+    if (totalCount) totalCount.textContent = getTransactions().length;
+    
+    renderFilteredTotals(transactions);
+    
+    // Render desktop table
+    renderDesktopTable(transactions);
+    
+    // Render mobile cards
+    renderMobileCards(transactions);
+    
+    // Deleted ones show up in the trash
+    renderTrash();
+    
+    // Autocomplete and templates follow the history
+    renderTransactionShortcuts();
+}
+
+/**
+ * Fill the description autocomplete and the frequent transaction templates
+ */
+function renderTransactionShortcuts() {
+    const transactions = getTransactions();
+    
+    const datalist = document.getElementById('description-options');
+    if (datalist) {
+        datalist.replaceChildren(...getDescriptionOptions(transactions).map(description => (
+            el('option', { value: description })
+        )));
+    }
+    
+    const section = document.getElementById('frequent-section');
+    const list = document.getElementById('frequent-list');
+    if (!section || !list) return;
+    
+    const pickable = getPickableCategoryNames();
+    const templates = getFrequentTransactions(transactions)
+        .filter(template => pickable.includes(template.category));
+    
+    section.style.display = templates.length > 0 ? '' : 'none';
+    
+    const allCategories = getCategories(true);
+    list.replaceChildren(...templates.map(template => {
+        const amount = formatMoney(template.amount, template.currency);
+        const icon = getCategoryStyle(allCategories, template.category).icon;
+        
+        return el('li', {},
+            el('button', {
+                type: 'button',
+                className: 'btn btn-secondary frequent-template',
+                'aria-label': `Fill in ${template.description}, ${amount}, ${template.category} (entered ${template.count} times)`,
+                onclick: () => fillTransactionForm(template, `Filled in "${template.description}". Check it and save.`)
+            }, `${icon} ${template.description} · ${amount}`)
+        );
+    }));
+}
+
+/**
+ * Start a new transaction from an old one or a template, dated today
+ * @param {Object} transaction - Transaction or template to copy
+ * @param {string} message - Status shown under the form
+ */
+function fillTransactionForm(transaction, message) {
+    // A copy is always a new transaction
+    if (getCurrentEditId()) cancelEdit();
+    
+    const values = toFormValues(transaction);
+    document.getElementById('type').value = values.type;
+    document.getElementById('description').value = values.description;
+    document.getElementById('amount').value = values.amount;
+    document.getElementById('currency').value = values.currency;
+    // Archived categories can't be picked for new transactions
+    const category = getPickableCategoryNames().includes(values.category) ? values.category : '';
+    populateCategorySelect(document.getElementById('category'), category);
+    document.getElementById('date').value = new Date().toISOString().split('T')[0];
+    updateCategorySuggestion();
+    clearFormErrors();
+    
+    showFormStatus(message, 'success');
+    
+    // Amount is the field most likely to change
+    const amountInput = document.getElementById('amount');
+    amountInput.focus();
+    amountInput.select();
+    document.getElementById('transaction-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Show income, spending and net for the transactions on screen
+ * @param {Array} transactions - Filtered transactions
+ */
+function renderFilteredTotals(transactions) {
+    const totalsEl = document.getElementById('filtered-totals');
+    if (!totalsEl) return;
+    
+    const totals = calculateTotals(transactions);
+    totalsEl.replaceChildren(
+        el('span', {}, 'Income: ', el('strong', { text: formatMoney(totals.income, totals.currency) })),
+        el('span', {}, 'Spent: ', el('strong', { text: formatMoney(totals.spent, totals.currency) })),
+        el('span', {}, 'Net: ', el('strong', { text: formatMoney(totals.net, totals.currency) }))
+    );
+}
+
+/**
+ * Export the transactions currently shown (after search and sort) as CSV
+ */
+function setupCsvExport() {
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    if (!exportCsvBtn) return;
+    
+    exportCsvBtn.addEventListener('click', () => {
+        const rows = visibleTransactions.map(t => ({
+            ...t,
+            type: getTransactionType(t),
+            currency: getTransactionCurrency(t)
+        }));
+        
+        downloadFile(toCSV(rows), `transactions_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    });
+}
+
+/**
+ * Download text as a file
+ * @param {string} content - File contents
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} mimeType - e.g. 'application/json'
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function renderDesktopTable(transactions) {
+    const tbody = document.getElementById('transactions-tbody');
+    if (!tbody) return;
+    
+    if (transactions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No transactions found.</td></tr>';
+        return;
+    }
+    
+    const getHighlights = getSearchHighlighter();
+    
+    const rows = transactions.map(t => {
+        const cells = getHighlightedCells(t, getHighlights(t));
+        
+        return el('tr', {},
+            el('td', {}, cells.description),
+            el('td', {}, el('span', { className: `type-badge ${getTransactionType(t)}`, text: getTypeLabel(t) })),
+            el('td', {}, formatAmountCell(t, cells.amount)),
+            el('td', {}, cells.category),
+            el('td', {}, cells.date),
+            el('td', {},
+                el('div', { className: 'action-buttons' },
+                    el('button', { className: 'btn-edit', 'aria-label': `Edit ${t.description}`, onclick: () => window.editTransaction(t.id) }, 'Edit'),
+                    el('button', { className: 'btn-edit', 'aria-label': `Duplicate ${t.description}`, onclick: () => window.duplicateTransaction(t.id) }, 'Duplicate'),
+                    el('button', { className: 'btn-delete', 'aria-label': `Delete ${t.description}`, onclick: () => window.confirmDelete(t.id) }, 'Delete')
+                )
+            )
+        );
+    });
+    
+    tbody.replaceChildren(...rows);
+}
+
+/**
+ * Build the description, amount, category and date of a transaction
+ * with the search matches marked
+ * @param {Object} t - Transaction object
+ * @param {Object} highlights - From getSearchHighlighter()
+ * @returns {Object} {description, amount, category, date} as text or fragments
+ */
+function getHighlightedCells(t, highlights) {
+    const mark = (text, match) => (match ? markedText(findMatches(text, match)) : String(text));
+    
+    return {
+        description: mark(t.description, highlights.description),
+        amount: highlights.amount ? mark(t.amount.toString(), highlights.amount) : t.amount.toFixed(2),
+        category: mark(t.category, highlights.category),
+        date: mark(t.date, highlights.date)
+    };
+}
+
+function renderMobileCards(transactions) {
+    const container = document.getElementById('transactions-cards');
+    if (!container) return;
+    
+    if (transactions.length === 0) {
+        container.innerHTML = '<p class="empty-state">No transactions found.</p>';
+        return;
+    }
+    
+    const getHighlights = getSearchHighlighter();
+    
+    const cards = transactions.map(t => {
+        const cells = getHighlightedCells(t, getHighlights(t));
+        
+        return el('div', { className: 'transaction-card' },
+            el('div', { className: 'card-header' },
+                el('div', { className: 'card-description' }, cells.description),
+                el('div', { className: 'card-amount' }, formatAmountCell(t, cells.amount))
+            ),
+            el('div', { className: 'card-meta' },
+                el('span', { className: `type-badge ${getTransactionType(t)}`, text: getTypeLabel(t) }),
+                el('span', {}, cells.category),
+                el('span', {}, cells.date)
+            ),
+            el('div', { className: 'card-actions' },
+                el('button', { className: 'btn-edit', 'aria-label': `Edit ${t.description}`, onclick: () => window.editTransaction(t.id) }, 'Edit'),
+                el('button', { className: 'btn-edit', 'aria-label': `Duplicate ${t.description}`, onclick: () => window.duplicateTransaction(t.id) }, 'Duplicate'),
+                el('button', { className: 'btn-delete', 'aria-label': `Delete ${t.description}`, onclick: () => window.confirmDelete(t.id) }, 'Delete')
+            )
+        );
+    });
+    
+    container.replaceChildren(...cards);
+}
+
+/**
+ * Recurring rules form and list
+ */
+function setupRecurringForm() {
+    const form = document.getElementById('recurring-form');
+    if (!form) return;
+    
+    setRecurringFormDefaults();
+    renderRecurringList();
+    
+    form.addEventListener('submit', handleRecurringSubmit);
+    
+    const cancelBtn = document.getElementById('rec-cancel-btn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', cancelRecurringEdit);
+    }
+}
+
+function setRecurringFormDefaults() {
+    populateCategorySelect(document.getElementById('rec-category'));
+    
+    const startInput = document.getElementById('rec-startDate');
+    if (startInput && !startInput.value) {
+        startInput.value = new Date().toISOString().split('T')[0];
+    }
+    
+    const currencySelect = document.getElementById('rec-currency');
+    if (currencySelect) {
+        currencySelect.value = getSettings().baseCurrency;
+    }
+}
+
+function handleRecurringSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const ruleData = {
+        type: form.type.value,
+        description: form.description.value,
+        amount: form.amount.value,
+        currency: form.currency.value,
+        category: form.category.value,
+        frequency: form.frequency.value,
+        startDate: form.startDate.value,
+        endDate: form.endDate.value,
+        count: form.count.value.trim()
+    };
+    
+    const editing = getRecurringRuleById(form.dataset.editId);
+    const validation = validateRecurringRule(ruleData, {
+        categories: getPickableCategoryNames(editing ? editing.category : '')
+    });
+    
+    // Show or clear each field's error
+    form.querySelectorAll('input, select').forEach(input => {
+        const message = validation.errors[input.name] || '';
+        const errorEl = document.getElementById(`rec-${input.name}-error`);
+        
+        input.classList.toggle('error', Boolean(message));
+        if (errorEl) errorEl.textContent = message;
+    });
+    
+    if (!validation.isValid) return;
+    
+    const editId = form.dataset.editId;
+    if (editId) {
+        updateRecurringRule(editId, ruleData);
+        showRecurringStatus('Recurring transaction updated!', 'success');
+    } else {
+        addRecurringRule(ruleData);
+        showRecurringStatus('Recurring transaction added!', 'success');
+    }
+    
+    cancelRecurringEdit();
+    renderRecurringList();
+    
+    // Rules that are already due create transactions straight away
+    renderTransactions();
+}
+
+function cancelRecurringEdit() {
+    const form = document.getElementById('recurring-form');
+    if (!form) return;
+    
+    form.reset();
+    delete form.dataset.editId;
+    setRecurringFormDefaults();
+    
+    document.getElementById('rec-btn-text').textContent = 'Add Recurring Transaction';
+    document.getElementById('rec-cancel-btn').style.display = 'none';
+}
+
+function showRecurringStatus(message, type) {
+    const statusEl = document.getElementById('recurring-status');
+    if (!statusEl) return;
+    
+    statusEl.textContent = message;
+    statusEl.className = `form-status ${type}`;
+    
+    setTimeout(() => {
+        statusEl.textContent = '';
+        statusEl.className = 'form-status';
+    }, 3000);
+}
+
+function renderRecurringList() {
+    const container = document.getElementById('recurring-list');
+    if (!container) return;
+    
+    const rules = getRecurringRules();
+    
+    if (rules.length === 0) {
+        container.innerHTML = '<p class="empty-state">No recurring transactions yet.</p>';
+        return;
+    }
+    
+    const items = rules.map(rule => {
+        const nextDate = getNextDate(rule);
+        let status = nextDate ? `Next: ${formatDueDate(nextDate)}` : 'Finished';
+        if (rule.paused) status = 'Paused';
+        const toggleLabel = rule.paused ? 'Resume' : 'Pause';
+        
+        return el('div', { className: `recurring-item${rule.paused ? ' paused' : ''}` },
+            el('div', { className: 'recent-info' },
+                el('h4', { text: rule.description }),
+                el('p', { className: 'recent-meta', text: `${formatSignedAmount(rule)} • ${rule.category} • ${rule.frequency} • ${status}` })
+            ),
+            el('div', { className: 'action-buttons' },
+                el('button', { className: 'btn-edit', 'aria-label': `${toggleLabel} ${rule.description}`, onclick: () => window.toggleRecurringRule(rule.id) }, toggleLabel),
+                el('button', { className: 'btn-edit', 'aria-label': `Edit ${rule.description}`, onclick: () => window.editRecurringRule(rule.id) }, 'Edit'),
+                el('button', { className: 'btn-delete', 'aria-label': `Delete ${rule.description}`, onclick: () => window.deleteRecurringRule(rule.id) }, 'Delete')
+            )
+        );
+    });
+    
+    container.replaceChildren(...items);
+}
+
+window.toggleRecurringRule = function(id) {
+    const rule = getRecurringRuleById(id);
+    if (!rule) return;
+    
+    setRecurringRulePaused(id, !rule.paused);
+    renderRecurringList();
+    renderTransactions();
+};
+
+window.editRecurringRule = function(id) {
+    const rule = getRecurringRuleById(id);
+    const form = document.getElementById('recurring-form');
+    if (!rule || !form) return;
+    
+    // Fill form
+    form.type.value = rule.type;
+    form.description.value = rule.description;
+    form.amount.value = Number(rule.amount).toFixed(2);
+    form.currency.value = rule.currency;
+    populateCategorySelect(form.category, rule.category);
+    form.frequency.value = rule.frequency;
+    form.startDate.value = rule.startDate;
+    form.endDate.value = rule.endDate;
+    form.count.value = rule.count || '';
+    form.dataset.editId = id;
+    
+    // Update UI
+    document.getElementById('rec-btn-text').textContent = 'Update Recurring Transaction';
+    document.getElementById('rec-cancel-btn').style.display = 'inline-block';
+    
+    form.scrollIntoView({ behavior: 'smooth' });
+};
+
+window.deleteRecurringRule = function(id) {
+    const rule = getRecurringRuleById(id);
+    if (!rule) return;
+    
+    if (!confirm(`Stop repeating "${rule.description}"? Transactions already added are kept.`)) {
+        return;
+    }
+    
+    deleteRecurringRule(id);
+    renderRecurringList();
+    showUndoToast(`Stopped repeating "${rule.description}"`);
+};
+
+// Make functions available globally for onclick handlers
+window.editTransaction = function(id) {
+    const transaction = getTransactions().find(t => t.id === id);
+    if (!transaction) return;
+    
+    // Fill form
+    document.getElementById('type').value = getTransactionType(transaction);
+    document.getElementById('description').value = transaction.description;
+    document.getElementById('amount').value = toFormValues(transaction).amount;
+    document.getElementById('currency').value = getTransactionCurrency(transaction);
+    populateCategorySelect(document.getElementById('category'), transaction.category);
+    document.getElementById('date').value = transaction.date;
+    updateCategorySuggestion();
+    
+    // Update UI
+    document.getElementById('btn-text').textContent = 'Update Transaction';
+    document.getElementById('cancel-btn').style.display = 'inline-block';
+    
+    // Set edit ID
+    setCurrentEditId(id);
+    
+    // Scroll to form
+    document.getElementById('transaction-form').scrollIntoView({ behavior: 'smooth' });
+};
+
+window.duplicateTransaction = function(id) {
+    const transaction = getTransactions().find(t => t.id === id);
+    if (!transaction) return;
+    
+    fillTransactionForm(transaction, `Copied "${transaction.description}" with today's date. Check it and save.`);
+};
+
+function setupTrash() {
+    const emptyBtn = document.getElementById('empty-trash-btn');
+    if (!emptyBtn) return;
+    
+    emptyBtn.addEventListener('click', () => {
+        const count = getDeletedTransactions().length;
+        if (!confirm(`Delete all ${count} transactions in the trash forever?`)) return;
+        
+        purgeTransactions();
+        renderTrash();
+        showUndoToast('Trash emptied');
+    });
+}
+
+function renderTrash() {
+    const container = document.getElementById('trash-list');
+    const emptyBtn = document.getElementById('empty-trash-btn');
+    const help = document.getElementById('trash-help');
+    if (!container) return;
+    
+    const deleted = getDeletedTransactions();
+    const days = Number(getSettings().trashRetentionDays);
+    
+    if (help) {
+        help.textContent = days
+            ? `Deleted transactions wait here for ${days} days so you can restore them, then they are deleted for good.`
+            : 'Deleted transactions wait here until you empty the trash.';
+    }
+    if (emptyBtn) emptyBtn.hidden = deleted.length === 0;
+    
+    if (deleted.length === 0) {
+        container.innerHTML = '<p class="empty-state">The trash is empty.</p>';
+        return;
+    }
+    
+    container.replaceChildren(...deleted.map(t => {
+        const deletedOn = new Date(t.deletedAt);
+        let purgeNote = '';
+        if (days) {
+            const purgeOn = new Date(deletedOn.getTime() + days * 24 * 60 * 60 * 1000);
+            const daysLeft = Math.max(0, Math.ceil((purgeOn - Date.now()) / (24 * 60 * 60 * 1000)));
+            purgeNote = ` · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+        }
+        
+        return el('div', { className: 'trash-item' },
+            el('div', {},
+                el('strong', { text: t.description }),
+                ' ',
+                el('span', { className: 'category-count', text: `${formatSignedAmount(t)} · ${t.category} · ${t.date}` }),
+                el('div', { className: 'category-count', text: `Deleted ${deletedOn.toLocaleDateString()}${purgeNote}` })
+            ),
+            el('div', { className: 'action-buttons' },
+                el('button', { className: 'btn-edit', 'aria-label': `Restore ${t.description}`, onclick: () => window.restoreFromTrash(t.id) }, 'Restore'),
+                el('button', { className: 'btn-delete', 'aria-label': `Delete ${t.description} forever`, onclick: () => window.purgeFromTrash(t.id) }, 'Delete Forever')
+            )
+        );
+    }));
+}
+
+window.restoreFromTrash = function(id) {
+    if (restoreTransaction(id)) {
+        renderTransactions();
+        showUndoToast('Transaction restored');
+    }
+};
+
+window.purgeFromTrash = function(id) {
+    if (!confirm('Delete this transaction forever? You can still undo right after.')) return;
+    
+    purgeTransactions([id]);
+    renderTrash();
+    showUndoToast('Transaction deleted forever');
+};
+
+window.confirmDelete = function(id) {
+    const modal = document.getElementById('delete-modal');
+    if (!modal) return;
+    
+    modal.style.display = 'flex';
+    
+    // Set up confirm button
+    const confirmBtn = document.getElementById('confirm-delete');
+    const cancelBtn = document.getElementById('cancel-delete');
+    
+    confirmBtn.onclick = () => {
+        const transaction = getTransactions().find(t => t.id === id);
+        deleteTransaction(id);
+        modal.style.display = 'none';
+        renderTransactions();
+        
+        if (transaction) {
+            showUndoToast(`Deleted "${transaction.description}"`);
+        }
+        
+        // Update dashboard if exists
+        if (getCurrentPage() === 'dashboard') {
+            updateDashboardStats();
+            updateBudgetDisplay();
+        }
+    };
+    
+    cancelBtn.onclick = () => {
+        modal.style.display = 'none';
+    };
+};
+
+function cancelEdit() {
+    setCurrentEditId(null);
+    
+    const form = document.getElementById('transaction-form');
+    if (form) form.reset();
+    
+    setFormDefaults();
+    
+    document.getElementById('btn-text').textContent = 'Add Transaction';
+    document.getElementById('cancel-btn').style.display = 'none';
+    
+    clearFormErrors();
+}
+
+/**
+ * ======================
+ * UNDO / REDO
+ * ======================
+ */
+/**
+ * Ctrl+Z undoes and Ctrl+Shift+Z redoes the last transaction change
+ * Inside text fields the browser's own undo is left alone
+ */
+function setupUndoShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            handleRedo();
+        } else {
+            handleUndo();
+        }
+    });
+}
+
+function handleUndo() {
+    const label = undo();
+    if (!label) {
+        showToast('Nothing to undo');
+        return;
+    }
+    
+    refreshCurrentPage();
+    showToast(`Undone: ${label}`, 'Redo', handleRedo);
+}
+
+function handleRedo() {
+    const label = redo();
+    if (!label) {
+        showToast('Nothing to redo');
+        return;
+    }
+    
+    refreshCurrentPage();
+    showToast(`Redone: ${label}`, 'Undo', handleUndo);
+}
+
+/**
+ * Show a toast with an Undo button after a destructive change
+ * @param {string} message - What just happened
+ */
+function showUndoToast(message) {
+    showToast(message, 'Undo', handleUndo);
+}
+
+// Timer that hides the toast
+let toastTimer = null;
+
+/**
+ * Show a short message at the bottom of the screen
+ * @param {string} message - Message text
+ * @param {string} actionLabel - Button text (optional)
+ * @param {Function} action - Called when the button is clicked
+ */
+function showToast(message, actionLabel = '', action = null) {
+    let toast = document.getElementById('toast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'toast';
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.setAttribute('aria-live', 'polite');
+        toast.append(document.createElement('span'), document.createElement('button'));
+        document.body.appendChild(toast);
+    }
+    
+    const text = toast.querySelector('span');
+    const button = toast.querySelector('button');
+    text.textContent = message;
+    button.className = 'btn btn-secondary';
+    button.textContent = actionLabel;
+    button.hidden = !action;
+    button.onclick = () => {
+        hideToast();
+        action();
+    };
+    
+    toast.classList.add('visible');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 8000);
+}
+
+function hideToast() {
+    const toast = document.getElementById('toast');
+    if (toast) toast.classList.remove('visible');
+}
+
+/**
+ * Redraw whatever the current page shows after the data changed
+ */
+function refreshCurrentPage() {
+    const currentPage = getCurrentPage();
+    
+    if (currentPage === 'dashboard') {
+        initializeDashboard();
+    } else if (currentPage === 'reports') {
+        renderReport();
+    } else if (currentPage === 'transactions') {
+        // The transaction being edited may be gone now
+        const editId = getCurrentEditId();
+        if (editId && !getTransactions().some(t => t.id === editId)) {
+            cancelEdit();
+        }
+        
+        // So can the recurring rule being edited
+        const recurringForm = document.getElementById('recurring-form');
+        if (recurringForm && recurringForm.dataset.editId && !getRecurringRuleById(recurringForm.dataset.editId)) {
+            cancelRecurringEdit();
+        }
+        renderCategoryFilter();
+        renderRecurringList();
+        renderTransactions();
+    } else if (currentPage === 'settings') {
+        // The category being edited may have been renamed back
+        const categoryForm = document.getElementById('category-form');
+        if (categoryForm && categoryForm.dataset.editName
+            && !getCategories(true).some(c => c.name === categoryForm.dataset.editName)) {
+            cancelCategoryEdit();
+        }
+        renderCategoryList();
+        renderCategoryBudgetOptions();
+        renderCategoryBudgetList();
+        renderCategoryRules();
+    }
+}
+
+/**
+ * ======================
+ * SETTINGS PAGE
+ * ======================
+ */
+function initializeSettings() {
+    setupBudgetForm();
+    setupCategoryBudgetForm();
+    setupCategoryRules();
+    setupCategoryManagement();
+    setupCurrencyForm();
+    setupTrashForm();
+    setupDataManagement();
+    setupCsvImport();
+    setupUndoShortcuts();
+}
+
+function setupBudgetForm() {
+    const form = document.getElementById('budget-form');
+    if (!form) return;
+    
+    // Load current budget
+    const settings = getSettings();
+    const budgetInput = document.getElementById('budget-cap');
+    if (budgetInput) {
+        budgetInput.value = settings.budgetCap.toFixed(2);
+    }
+    
+    // Show which currency the cap is in
+    const budgetCurrencyEl = document.getElementById('budget-currency');
+    if (budgetCurrencyEl) {
+        budgetCurrencyEl.textContent = settings.baseCurrency;
+    }
+    
+    // Load current budget period
+    const periodTypeSelect = document.getElementById('budget-period-type');
+    const startDayInput = document.getElementById('budget-start-day');
+    const startWeekdaySelect = document.getElementById('budget-start-weekday');
+    const periodStartInput = document.getElementById('budget-period-start');
+    const periodEndInput = document.getElementById('budget-period-end');
+    const rolloverCheckbox = document.getElementById('budget-rollover');
+    const period = settings.budgetPeriod;
+    
+    if (periodTypeSelect) {
+        periodTypeSelect.value = period.type;
+        if (period.type === 'weekly') {
+            startWeekdaySelect.value = period.startDay;
+        } else if (period.type === 'monthly') {
+            startDayInput.value = period.startDay;
+        }
+        periodStartInput.value = period.start || '';
+        periodEndInput.value = period.end || '';
+        rolloverCheckbox.checked = settings.budgetRollover;
+        
+        togglePeriodFields(period.type);
+        periodTypeSelect.addEventListener('change', () => togglePeriodFields(periodTypeSelect.value));
+    }
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const value = budgetInput.value;
+        const validation = validateBudgetCap(value);
+        
+        if (!validation.isValid) {
+            const errorEl = document.getElementById('budget-cap-error');
+            if (errorEl) errorEl.textContent = validation.error;
+            return;
+        }
+        
+        // Clear error
+        const errorEl = document.getElementById('budget-cap-error');
+        if (errorEl) errorEl.textContent = '';
+        
+        const newSettings = { budgetCap: parseFloat(value) };
+        
+        // Budget period
+        if (periodTypeSelect) {
+            const type = periodTypeSelect.value;
+            const newPeriod = {
+                type,
+                startDay: type === 'weekly' ? startWeekdaySelect.value : startDayInput.value,
+                start: type === 'custom' ? periodStartInput.value : '',
+                end: type === 'custom' ? periodEndInput.value : ''
+            };
+            
+            const periodValidation = validateBudgetPeriod(newPeriod);
+            ['type', 'startDay', 'start', 'end'].forEach(field => {
+                const id = {
+                    type: 'budget-period-type-error',
+                    startDay: 'budget-start-day-error',
+                    start: 'budget-period-start-error',
+                    end: 'budget-period-end-error'
+                }[field];
+                const fieldErrorEl = document.getElementById(id);
+                if (fieldErrorEl) fieldErrorEl.textContent = periodValidation.errors[field] || '';
+            });
+            
+            if (!periodValidation.isValid) return;
+            
+            newSettings.budgetPeriod = {
+                ...newPeriod,
+                startDay: type === 'custom' ? 1 : Number(newPeriod.startDay)
+            };
+            newSettings.budgetRollover = rolloverCheckbox.checked;
+        }
+        
+        // Update settings
+        updateSettings(newSettings);
+        
+        // Show success
+        const statusEl = document.getElementById('budget-status');
+        if (statusEl) {
+            statusEl.textContent = `Budget updated! ${describePeriod(getSettings().budgetPeriod)}`;
+            statusEl.className = 'form-status success';
+            
+            setTimeout(() => {
+                statusEl.textContent = '';
+                statusEl.className = 'form-status';
+            }, 3000);
+        }
+    });
+}
+
+/**
+ * Show only the fields that matter for the chosen period type
+ * @param {string} type - 'monthly', 'weekly' or 'custom'
+ */
+function togglePeriodFields(type) {
+    const groups = {
+        monthly: document.getElementById('budget-start-day-group'),
+        weekly: document.getElementById('budget-start-weekday-group'),
+        custom: document.getElementById('budget-custom-range-group')
+    };
+    
+    for (const [groupType, group] of Object.entries(groups)) {
+        if (group) group.style.display = groupType === type ? '' : 'none';
+    }
+}
+
+function setupCategoryBudgetForm() {
+    const form = document.getElementById('category-budget-form');
+    if (!form) return;
+    
+    const categoryInput = document.getElementById('category-budget-name');
+    const capInput = document.getElementById('category-budget-cap');
+    
+    renderCategoryBudgetOptions();
+    renderCategoryBudgetList();
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const category = categoryInput.value.trim();
+        const value = capInput.value;
+        const validation = validateCategoryBudget(category, value, getCategories().map(c => c.name));
+        
+        const categoryErrorEl = document.getElementById('category-budget-name-error');
+        const capErrorEl = document.getElementById('category-budget-cap-error');
+        if (categoryErrorEl) categoryErrorEl.textContent = validation.errors.category || '';
+        if (capErrorEl) capErrorEl.textContent = validation.errors.cap || '';
+        
+        if (!validation.isValid) return;
+        
+        setCategoryBudget(category, parseFloat(value));
+        form.reset();
+        renderCategoryBudgetList();
+        
+        // Show success
+        const statusEl = document.getElementById('category-budget-status');
+        if (statusEl) {
+            statusEl.textContent = `Budget for ${category} saved!`;
+            statusEl.className = 'form-status success';
+            
+            setTimeout(() => {
+                statusEl.textContent = '';
+                statusEl.className = 'form-status';
+            }, 3000);
+        }
+    });
+}
+
+function renderCategoryBudgetOptions() {
+    // Suggest categories from the category list
+    const datalist = document.getElementById('category-budget-options');
+    if (datalist) {
+        datalist.replaceChildren(...getCategories().map(c => el('option', { value: c.name })));
+    }
+}
+
+function renderCategoryBudgetList() {
+    const container = document.getElementById('category-budget-list');
+    if (!container) return;
+    
+    const settings = getSettings();
+    const entries = Object.entries(settings.categoryBudgets || {}).sort((a, b) => a[0].localeCompare(b[0]));
+    
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="empty-state">No category budgets yet.</p>';
+        return;
+    }
+    
+    container.replaceChildren(...entries.map(([category, cap]) => el('div', { className: 'category-item' },
+        el('span', { className: 'category-name', text: category }),
+        el('span', { className: 'category-amount', text: formatMoney(cap, settings.baseCurrency) }),
+        el('button', {
+            type: 'button',
+            className: 'btn-delete',
+            'aria-label': `Remove budget for ${category}`,
+            onclick: () => window.removeCategoryBudget(category)
+        }, 'Remove')
+    )));
+}
+
+window.removeCategoryBudget = function(category) {
+    removeCategoryBudget(category);
+    renderCategoryBudgetList();
+    showUndoToast(`Removed budget for ${category}`);
+};
+
+// Keyword of the rule being edited ('' when adding)
+let editingRuleKeyword = '';
+
+/**
+ * Keyword rules for category suggestions: add, edit and delete
+ */
+function setupCategoryRules() {
+    const form = document.getElementById('category-rule-form');
+    if (!form) return;
+    
+    const keywordInput = document.getElementById('category-rule-keyword');
+    const categorySelect = document.getElementById('category-rule-category');
+    const cancelBtn = document.getElementById('category-rule-cancel-btn');
+    
+    renderCategoryRules();
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const keyword = keywordInput.value.trim().toLowerCase();
+        const category = categorySelect.value;
+        const validation = validateCategoryRule(keyword, category, getPickableCategoryNames());
+        
+        const keywordErrorEl = document.getElementById('category-rule-keyword-error');
+        const categoryErrorEl = document.getElementById('category-rule-category-error');
+        if (keywordErrorEl) keywordErrorEl.textContent = validation.errors.keyword || '';
+        if (categoryErrorEl) categoryErrorEl.textContent = validation.errors.category || '';
+        
+        if (!validation.isValid) return;
+        
+        saveCategoryRule(keyword, category, editingRuleKeyword);
+        const message = editingRuleKeyword ? `Rule for "${keyword}" updated!` : `Rule for "${keyword}" added!`;
+        resetCategoryRuleForm();
+        renderCategoryRules();
+        
+        // Show success
+        const statusEl = document.getElementById('category-rule-status');
+        if (statusEl) {
+            statusEl.textContent = message;
+            statusEl.className = 'form-status success';
+            
+            setTimeout(() => {
+                statusEl.textContent = '';
+                statusEl.className = 'form-status';
+            }, 3000);
+        }
+    });
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', resetCategoryRuleForm);
+    }
+}
+
+function resetCategoryRuleForm() {
+    const form = document.getElementById('category-rule-form');
+    if (form) form.reset();
+    
+    editingRuleKeyword = '';
+    document.getElementById('category-rule-btn-text').textContent = 'Add Rule';
+    document.getElementById('category-rule-cancel-btn').style.display = 'none';
+    ['category-rule-keyword-error', 'category-rule-category-error'].forEach(id => {
+        document.getElementById(id).textContent = '';
+    });
+}
+
+function renderCategoryRules() {
+    // Rules can only point at categories that can be picked
+    const categorySelect = document.getElementById('category-rule-category');
+    if (categorySelect) populateCategorySelect(categorySelect, categorySelect.value);
+    
+    const container = document.getElementById('category-rule-list');
+    if (!container) return;
+    
+    const rules = getCategoryRules();
+    
+    if (rules.length === 0) {
+        container.innerHTML = '<p class="empty-state">No category rules yet.</p>';
+        return;
     }
     
-    document.getElementById('btn-text').textContent = 'Add Transaction';
-    document.getElementById('cancel-btn').style.display = 'none';
-    
-    clearFormErrors();
+    const allCategories = getCategories(true);
+    container.replaceChildren(...rules.map(rule => {
+        const style = getCategoryStyle(allCategories, rule.category);
+        return el('div', { className: 'category-item' },
+            el('span', { className: 'category-name', text: `"${rule.keyword}"` }),
+            el('span', { className: 'category-amount', text: `→ ${style.icon} ${rule.category}` }),
+            el('button', {
+                type: 'button',
+                className: 'btn-edit',
+                'aria-label': `Edit rule for ${rule.keyword}`,
+                onclick: () => window.editCategoryRule(rule.keyword)
+            }, 'Edit'),
+            el('button', {
+                type: 'button',
+                className: 'btn-delete',
+                'aria-label': `Delete rule for ${rule.keyword}`,
+                onclick: () => window.deleteCategoryRule(rule.keyword)
+            }, 'Delete')
+        );
+    }));
 }
 
+window.editCategoryRule = function(keyword) {
+    const rule = getCategoryRules().find(r => r.keyword === keyword);
+    if (!rule) return;
+    
+    editingRuleKeyword = rule.keyword;
+    document.getElementById('category-rule-keyword').value = rule.keyword;
+    populateCategorySelect(document.getElementById('category-rule-category'), rule.category);
+    document.getElementById('category-rule-btn-text').textContent = 'Update Rule';
+    document.getElementById('category-rule-cancel-btn').style.display = 'inline-block';
+    document.getElementById('category-rule-keyword').focus();
+};
+
+window.deleteCategoryRule = function(keyword) {
+    deleteCategoryRule(keyword);
+    if (editingRuleKeyword === keyword) resetCategoryRuleForm();
+    renderCategoryRules();
+    showUndoToast(`Deleted rule for "${keyword}"`);
+};
+
 /**
- * ======================
- * SETTINGS PAGE
- * ======================
+ * Category list: add, edit (rename, color, icon), archive and merge
  */
-function initializeSettings() {
-    setupBudgetForm();
-    setupCurrencyForm();
-    setupDataManagement();
-}
-
-function setupBudgetForm() {
-    const form = document.getElementById('budget-form');
+function setupCategoryManagement() {
+    const form = document.getElementById('category-form');
     if (!form) return;
     
-    // Load current budget
-    const settings = getSettings();
-    const budgetInput = document.getElementById('budget-cap');
-    if (budgetInput) {
-        budgetInput.value = settings.budgetCap.toFixed(2);
-    }
+    renderCategoryList();
     
     form.addEventListener('submit', (e) => {
         e.preventDefault();
         
-        const value = budgetInput.value;
-        const validation = validateBudgetCap(value);
+        const name = form.categoryName.value.trim();
+        const color = form.categoryColor.value;
+        const icon = form.categoryIcon.value.trim();
+        const editName = form.dataset.editName || '';
         
-        if (!validation.isValid) {
-            const errorEl = document.getElementById('budget-cap-error');
-            if (errorEl) errorEl.textContent = validation.error;
-            return;
+        const existing = getCategories(true).map(c => c.name);
+        const errors = {
+            name: validateCategoryName(name, existing, editName).error,
+            color: validateCategoryColor(color).error,
+            icon: validateCategoryIcon(icon).error
+        };
+        
+        for (const [field, message] of Object.entries(errors)) {
+            const errorEl = document.getElementById(`category-${field}-error`);
+            if (errorEl) errorEl.textContent = message;
         }
         
-        // Clear error
-        const errorEl = document.getElementById('budget-cap-error');
-        if (errorEl) errorEl.textContent = '';
+        if (errors.name || errors.color || errors.icon) return;
         
-        // Update settings
-        updateSettings({ budgetCap: parseFloat(value) });
+        if (editName) {
+            const style = { color, icon: icon || '🏷️' };
+            if (name !== editName) {
+                // One step, so a single undo brings the old name back
+                const moved = renameCategory(editName, name, style);
+                showCategoryStatus(`Renamed ${editName} to ${name} (${moved} transactions updated).`, 'success');
+                showUndoToast(`Renamed ${editName} to ${name}`);
+            } else {
+                updateCategoryStyle(name, style);
+                showCategoryStatus(`Category ${name} updated!`, 'success');
+            }
+        } else {
+            addCategory({ name, color, icon });
+            showCategoryStatus(`Category ${name} added!`, 'success');
+        }
         
-        // Show success
-        const statusEl = document.getElementById('budget-status');
-        if (statusEl) {
-            statusEl.textContent = 'Budget cap updated successfully!';
-            statusEl.className = 'form-status success';
+        cancelCategoryEdit();
+        renderCategoryList();
+    });
+    
+    const cancelBtn = document.getElementById('category-cancel-btn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', cancelCategoryEdit);
+    }
+    
+    // Merge form
+    const mergeForm = document.getElementById('category-merge-form');
+    if (mergeForm) {
+        mergeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
             
-            setTimeout(() => {
-                statusEl.textContent = '';
-                statusEl.className = 'form-status';
-            }, 3000);
-        }
+            const from = mergeForm.mergeFrom.value;
+            const into = mergeForm.mergeInto.value;
+            const errorEl = document.getElementById('merge-error');
+            
+            if (!from || !into || from === into) {
+                if (errorEl) errorEl.textContent = 'Pick two different categories to merge';
+                return;
+            }
+            if (errorEl) errorEl.textContent = '';
+            
+            if (!confirm(`Move every ${from} transaction into ${into} and remove ${from}?`)) {
+                return;
+            }
+            
+            const moved = mergeCategories(from, into);
+            showCategoryStatus(`Merged ${from} into ${into} (${moved} transactions moved).`, 'success');
+            showUndoToast(`Merged ${from} into ${into}`);
+            renderCategoryList();
+        });
+    }
+}
+
+function renderCategoryList() {
+    const container = document.getElementById('category-list');
+    if (!container) return;
+    
+    const categories = getCategories(true);
+    const counts = {};
+    getTransactions().forEach(t => {
+        counts[t.category] = (counts[t.category] || 0) + 1;
     });
+    
+    container.replaceChildren(...categories.map(c => {
+        const archiveLabel = c.archived ? 'Restore' : 'Archive';
+        
+        return el('div', { className: `category-item${c.archived ? ' archived' : ''}`, style: { 'border-left-color': c.color } },
+            el('span', { className: 'category-name' },
+                el('span', { className: 'category-swatch', style: { background: c.color }, 'aria-hidden': 'true' }),
+                el('span', { className: 'category-icon', 'aria-hidden': 'true', text: c.icon }),
+                ` ${c.name}${c.archived ? ' (archived)' : ''}`
+            ),
+            el('span', { className: 'category-count', text: `${counts[c.name] || 0} transactions` }),
+            el('div', { className: 'action-buttons' },
+                el('button', { type: 'button', className: 'btn-edit', 'aria-label': `Edit ${c.name}`, onclick: () => window.editCategory(c.name) }, 'Edit'),
+                el('button', { type: 'button', className: 'btn-edit', 'aria-label': `${archiveLabel} ${c.name}`, onclick: () => window.toggleCategoryArchived(c.name) }, archiveLabel)
+            )
+        );
+    }));
+    
+    // Keep the merge dropdowns in sync
+    const options = () => categories.map(c => new Option(`${c.icon} ${c.name}`, c.name));
+    const mergeFrom = document.getElementById('merge-from');
+    const mergeInto = document.getElementById('merge-into');
+    if (mergeFrom) mergeFrom.replaceChildren(...options());
+    if (mergeInto) mergeInto.replaceChildren(...options());
+    
+    renderCategoryBudgetOptions();
+    renderCategoryBudgetList();
+}
+
+function cancelCategoryEdit() {
+    const form = document.getElementById('category-form');
+    if (!form) return;
+    
+    form.reset();
+    delete form.dataset.editName;
+    
+    document.getElementById('category-btn-text').textContent = 'Add Category';
+    document.getElementById('category-cancel-btn').style.display = 'none';
+}
+
+function showCategoryStatus(message, type) {
+    const statusEl = document.getElementById('category-status');
+    if (!statusEl) return;
+    
+    statusEl.textContent = message;
+    statusEl.className = `form-status ${type}`;
+    
+    setTimeout(() => {
+        statusEl.textContent = '';
+        statusEl.className = 'form-status';
+    }, 3000);
 }
 
+window.editCategory = function(name) {
+    const category = getCategories(true).find(c => c.name === name);
+    const form = document.getElementById('category-form');
+    if (!category || !form) return;
+    
+    form.categoryName.value = category.name;
+    form.categoryColor.value = category.color;
+    form.categoryIcon.value = category.icon;
+    form.dataset.editName = category.name;
+    
+    document.getElementById('category-btn-text').textContent = 'Save Category';
+    document.getElementById('category-cancel-btn').style.display = 'inline-block';
+    
+    form.scrollIntoView({ behavior: 'smooth' });
+};
+
+window.toggleCategoryArchived = function(name) {
+    const category = getCategories(true).find(c => c.name === name);
+    if (!category) return;
+    
+    setCategoryArchived(name, !category.archived);
+    renderCategoryList();
+    if (!category.archived) showUndoToast(`Archived ${name}`);
+};
+
 function setupCurrencyForm() {
     const form = document.getElementById('currency-form');
     if (!form) return;
@@ -642,13 +3083,33 @@ function setupCurrencyForm() {
     const settings = getSettings();
     const eurInput = document.getElementById('eur-rate');
     const rwfInput = document.getElementById('rwf-rate');
+    const baseSelect = document.getElementById('base-currency');
     
     if (eurInput) eurInput.value = settings.currencies.EUR;
     if (rwfInput) rwfInput.value = settings.currencies.RWF;
+    if (baseSelect) baseSelect.value = settings.baseCurrency;
     
     form.addEventListener('submit', (e) => {
         e.preventDefault();
         
+        // Validate each rate
+        let hasErrors = false;
+        [eurInput, rwfInput].forEach(input => {
+            const validation = validateExchangeRate(input.value);
+            const errorEl = document.getElementById(`${input.id}-error`);
+            
+            if (errorEl) errorEl.textContent = validation.isValid ? '' : validation.error;
+            input.classList.toggle('error', !validation.isValid);
+            if (!validation.isValid) hasErrors = true;
+        });
+        
+        const baseValidation = validateCurrency(baseSelect.value);
+        const baseErrorEl = document.getElementById('base-currency-error');
+        if (baseErrorEl) baseErrorEl.textContent = baseValidation.isValid ? '' : baseValidation.error;
+        if (!baseValidation.isValid) hasErrors = true;
+        
+        if (hasErrors) return;
+        
         const newSettings = {
             currencies: {
                 USD: 1.00,
@@ -659,6 +3120,19 @@ function setupCurrencyForm() {
         
         updateSettings(newSettings);
         
+        // Switching display currency also converts the budget cap
+        if (baseSelect.value !== getSettings().baseCurrency) {
+            const updated = setBaseCurrency(baseSelect.value);
+            
+            const budgetInput = document.getElementById('budget-cap');
+            if (budgetInput) budgetInput.value = updated.budgetCap.toFixed(2);
+            
+            const budgetCurrencyEl = document.getElementById('budget-currency');
+            if (budgetCurrencyEl) budgetCurrencyEl.textContent = updated.baseCurrency;
+            
+            renderCategoryBudgetList();
+        }
+        
         // Show success
         const statusEl = document.getElementById('currency-status');
         if (statusEl) {
@@ -673,6 +3147,37 @@ function setupCurrencyForm() {
     });
 }
 
+function setupTrashForm() {
+    const form = document.getElementById('trash-form');
+    const input = document.getElementById('trash-retention');
+    if (!form || !input) return;
+    
+    input.value = getSettings().trashRetentionDays;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const validation = validateTrashRetention(input.value);
+        const errorEl = document.getElementById('trash-retention-error');
+        if (errorEl) errorEl.textContent = validation.isValid ? '' : validation.error;
+        input.classList.toggle('error', !validation.isValid);
+        if (!validation.isValid) return;
+        
+        updateSettings({ trashRetentionDays: parseInt(input.value, 10) });
+        
+        const statusEl = document.getElementById('trash-status');
+        if (statusEl) {
+            statusEl.textContent = 'Trash setting saved!';
+            statusEl.className = 'form-status success';
+            
+            setTimeout(() => {
+                statusEl.textContent = '';
+                statusEl.className = 'form-status';
+            }, 3000);
+        }
+    });
+}
+
 function setupDataManagement() {
     // Export button
     const exportBtn = document.getElementById('export-btn');
@@ -682,14 +3187,7 @@ function setupDataManagement() {
             const json = exportToJSON(transactions);
             
             if (json) {
-                // Create download
-                const blob = new Blob([json], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `transactions_${new Date().toISOString().split('T')[0]}.json`;
-                a.click();
-                URL.revokeObjectURL(url);
+                downloadFile(json, `transactions_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
             }
         });
     }
@@ -697,6 +3195,41 @@ function setupDataManagement() {
     // Import button
     const importBtn = document.getElementById('import-btn');
     const importFile = document.getElementById('import-file');
+    const importPreview = document.getElementById('import-preview');
+    const confirmImport = document.getElementById('import-confirm-btn');
+    const cancelImport = document.getElementById('import-cancel-btn');
+    
+    const importValidBtn = document.getElementById('import-valid-btn');
+    const importErrorsCancel = document.getElementById('import-errors-cancel');
+    const importErrorsActions = document.getElementById('import-errors-actions');
+    
+    // Merge plan waiting for the user to confirm
+    let pendingPlan = null;
+    // Valid rows waiting while the user reads the error report
+    let pendingRows = null;
+    
+    // Replace everything, or show the merge preview
+    const continueImport = (rows, mode) => {
+        if (mode === 'merge') {
+            // Show what will happen, save only after "Confirm Import"
+            pendingPlan = planMerge(getTransactions(), rows);
+            renderImportPreview(pendingPlan);
+            return;
+        }
+        
+        if (getTransactions().length > 0 && !confirm(`Replace all ${getTransactions().length} transactions with the ${rows.length} in this file?`)) {
+            return;
+        }
+        
+        importTransactions(rows);
+        showImportStatus(`Successfully imported ${rows.length} transactions!`, 'success');
+        showUndoToast(`Replaced your transactions with ${rows.length} imported ones`);
+        
+        // Refresh if on transactions page
+        if (getCurrentPage() === 'transactions') {
+            renderTransactions();
+        }
+    };
     
     if (importBtn && importFile) {
         importBtn.addEventListener('click', () => {
@@ -706,28 +3239,93 @@ function setupDataManagement() {
                 return;
             }
             
+            const modeInput = document.querySelector('input[name="import-mode"]:checked');
+            const mode = modeInput ? modeInput.value : 'replace';
+            
             const reader = new FileReader();
             reader.onload = (e) => {
                 const json = e.target.result;
-                const data = importFromJSON(json);
+                const result = importFromJSON(json);
+                renderImportSummary([]);
                 
-                if (data) {
-                    importTransactions(data);
-                    showImportStatus(`Successfully imported ${data.length} transactions!`, 'success');
-                    
-                    // Refresh if on transactions page
-                    if (getCurrentPage() === 'transactions') {
-                        renderTransactions();
-                    }
-                } else {
-                    showImportStatus('Invalid JSON file. Please check the format.', 'error');
+                if (!result.isValid) {
+                    showImportStatus(result.error, 'error');
+                    return;
                 }
+                
+                // Check every row against the same rules as the form
+                const { valid, invalid } = validateImportRows(result.transactions);
+                
+                if (invalid.length === 0) {
+                    continueImport(valid, mode);
+                    return;
+                }
+                
+                renderImportErrors(invalid, valid.length);
+                pendingRows = valid.length > 0 ? { rows: valid, mode } : null;
+                if (importErrorsActions) importErrorsActions.hidden = !pendingRows;
             };
             
             reader.readAsText(file);
         });
     }
     
+    if (importValidBtn) {
+        importValidBtn.addEventListener('click', () => {
+            if (!pendingRows) return;
+            
+            const { rows, mode } = pendingRows;
+            pendingRows = null;
+            if (importErrorsActions) importErrorsActions.hidden = true;
+            continueImport(rows, mode);
+        });
+    }
+    
+    if (importErrorsCancel) {
+        importErrorsCancel.addEventListener('click', () => {
+            pendingRows = null;
+            if (importErrorsActions) importErrorsActions.hidden = true;
+            showImportStatus('Import cancelled, nothing was changed.', 'success');
+        });
+    }
+    
+    if (confirmImport) {
+        confirmImport.addEventListener('click', () => {
+            if (!pendingPlan) return;
+            
+            const overwrite = document.getElementById('import-overwrite');
+            const result = applyMergePlan(pendingPlan, overwrite ? overwrite.checked : false);
+            const keptConflicts = overwrite && overwrite.checked ? 0 : pendingPlan.conflicts.length;
+            showUndoToast(`Imported ${result.added + result.updated} transactions`);
+            
+            showImportStatus(
+                `Added ${result.added}, updated ${result.updated}, skipped ${pendingPlan.skipped.length + keptConflicts}.`,
+                'success'
+            );
+            
+            // Conflicts where the user kept their own copy count as skipped too
+            const skipped = [
+                ...pendingPlan.skipped,
+                ...(keptConflicts ? pendingPlan.conflicts.map(c => ({ incoming: c.incoming, reason: 'Kept your newer copy' })) : [])
+            ];
+            renderImportSummary(skipped);
+            
+            pendingPlan = null;
+            if (importPreview) importPreview.hidden = true;
+            if (importFile) importFile.value = '';
+            renderCategoryList();
+            renderCategoryBudgetOptions();
+        });
+    }
+    
+    if (cancelImport) {
+        cancelImport.addEventListener('click', () => {
+            pendingPlan = null;
+            if (importPreview) importPreview.hidden = true;
+            showImportStatus('Import cancelled, nothing was changed.', 'success');
+        });
+    }
+    
     // Clear data button
     const clearBtn = document.getElementById('clear-data-btn');
     if (clearBtn) {
@@ -752,7 +3350,7 @@ function setupDataManagement() {
                 renderTransactions();
             }
             
-            alert('All data has been cleared!');
+            showUndoToast('All data has been cleared!');
         });
     }
     
@@ -764,14 +3362,325 @@ function setupDataManagement() {
     }
 }
 
+/**
+ * CSV import: preview the file, let the user match columns, then import
+ * Rows that fail validation are skipped and listed with their errors.
+ */
+function setupCsvImport() {
+    const fileInput = document.getElementById('csv-file');
+    const dateOrderSelect = document.getElementById('csv-date-order');
+    const previewBtn = document.getElementById('csv-preview-btn');
+    const importBtn = document.getElementById('csv-import-btn');
+    const mappingSection = document.getElementById('csv-mapping');
+    const report = document.getElementById('csv-report');
+    
+    if (!fileInput || !previewBtn || !importBtn || !mappingSection) return;
+    
+    // Parsed file, kept between "Preview" and "Import"
+    let parsed = null;
+    
+    previewBtn.addEventListener('click', () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            showCsvStatus('Please select a CSV file first.', 'error');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            parsed = parseCSV(e.target.result);
+            if (report) report.innerHTML = '';
+            
+            if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+                parsed = null;
+                mappingSection.hidden = true;
+                showCsvStatus('This file has no rows to import.', 'error');
+                return;
+            }
+            
+            renderCsvMapping(parsed.headers, guessColumnMapping(parsed.headers));
+            renderCsvPreview(parsed);
+            mappingSection.hidden = false;
+            showCsvStatus(`Found ${parsed.rows.length} rows. Check the columns below, then import.`, 'success');
+        };
+        
+        reader.readAsText(file);
+    });
+    
+    importBtn.addEventListener('click', () => {
+        if (!parsed) return;
+        
+        // Read the chosen column for each field
+        const mapping = {};
+        CSV_FIELDS.forEach(field => {
+            const select = document.getElementById(`csv-map-${field}`);
+            mapping[field] = select ? parseInt(select.value, 10) : -1;
+        });
+        
+        const missing = ['description', 'amount', 'date'].filter(field => mapping[field] === -1);
+        if (missing.length > 0) {
+            showCsvStatus(`Please pick a column for: ${missing.join(', ')}.`, 'error');
+            return;
+        }
+        
+        const results = rowsToTransactions(parsed.rows, mapping, {
+            dateOrder: dateOrderSelect ? dateOrderSelect.value : 'auto',
+            defaultCurrency: getSettings().baseCurrency
+        });
+        
+        const valid = [];
+        const failed = [];
+        
+        results.forEach(result => {
+            const validation = validateTransaction(result.data);
+            // Parse errors explain the problem better than the validator's
+            const errors = { ...validation.errors, ...result.errors };
+            
+            if (Object.keys(errors).length === 0) {
+                valid.push(result.data);
+            } else {
+                failed.push({ row: result.row, errors });
+            }
+        });
+        
+        // Importing the same statement twice shouldn't double the spending
+        const plan = planMerge(getTransactions(), valid);
+        plan.skipped.forEach(({ incoming, reason }) => {
+            failed.push({ row: results.find(r => r.data === incoming).row, errors: { duplicate: `${reason} of a saved transaction` } });
+        });
+        failed.sort((a, b) => a.row - b.row);
+        
+        if (plan.adds.length > 0) {
+            addTransactions(plan.adds);
+            showUndoToast(`Imported ${plan.adds.length} transactions from CSV`);
+        }
+        
+        renderCsvReport(failed);
+        
+        if (failed.length === 0) {
+            showCsvStatus(`Successfully imported ${plan.adds.length} transactions!`, 'success');
+        } else {
+            showCsvStatus(`Imported ${plan.adds.length} transactions. ${failed.length} rows were skipped (see below).`, plan.adds.length > 0 ? 'success' : 'error');
+        }
+        
+        // New categories from the file show up in the category lists
+        renderCategoryList();
+        renderCategoryBudgetOptions();
+        
+        parsed = null;
+        mappingSection.hidden = true;
+        fileInput.value = '';
+    });
+}
+
+/**
+ * Show a column picker for each field
+ * Built with DOM methods because the header names come from the file
+ * @param {Array} headers - CSV header row
+ * @param {Object} mapping - Guessed {field: column index}
+ */
+function renderCsvMapping(headers, mapping) {
+    const container = document.getElementById('csv-mapping-fields');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const required = ['description', 'amount', 'date'];
+    
+    CSV_FIELDS.forEach(field => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `csv-map-${field}`;
+        label.textContent = field.charAt(0).toUpperCase() + field.slice(1) + (required.includes(field) ? ' *' : '');
+        
+        const select = document.createElement('select');
+        select.id = `csv-map-${field}`;
+        select.add(new Option(required.includes(field) ? '-- Pick a column --' : '-- Not in file --', '-1'));
+        headers.forEach((header, index) => {
+            select.add(new Option(header || `Column ${index + 1}`, String(index)));
+        });
+        select.value = String(mapping[field]);
+        
+        group.append(label, select);
+        container.appendChild(group);
+    });
+}
+
+/**
+ * Show the first few rows of the file
+ * @param {Object} parsed - Result of parseCSV
+ */
+function renderCsvPreview(parsed) {
+    const head = document.getElementById('csv-preview-head');
+    const body = document.getElementById('csv-preview-body');
+    if (!head || !body) return;
+    
+    head.innerHTML = '';
+    body.innerHTML = '';
+    
+    const headerRow = head.insertRow();
+    parsed.headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    
+    parsed.rows.slice(0, 5).forEach(row => {
+        const tr = body.insertRow();
+        parsed.headers.forEach((_, index) => {
+            tr.insertCell().textContent = row[index] || '';
+        });
+    });
+}
+
+/**
+ * List the rows that could not be imported and why
+ * @param {Array} failed - [{row, errors}]
+ */
+function renderCsvReport(failed) {
+    const report = document.getElementById('csv-report');
+    if (!report) return;
+    
+    report.innerHTML = '';
+    failed.forEach(({ row, errors }) => {
+        const item = document.createElement('li');
+        item.textContent = `Row ${row}: ${Object.values(errors).join('; ')}`;
+        report.appendChild(item);
+    });
+}
+
+function showCsvStatus(message, type) {
+    const statusEl = document.getElementById('csv-status');
+    if (!statusEl) return;
+    
+    statusEl.textContent = message;
+    statusEl.className = `form-status ${type}`;
+}
+
+/**
+ * Describe a transaction in one line for import previews
+ * @param {Object} t - Transaction
+ * @returns {string} e.g. "2025-09-29 · Lunch · $12.50"
+ */
+function describeImportItem(t) {
+    const amount = parseFloat(t.amount);
+    return `${t.date} · ${t.description} · ${isNaN(amount) ? t.amount : formatMoney(amount, t.currency || 'USD')}`;
+}
+
+/**
+ * Show what a merge will add, update, skip and where it conflicts
+ * Built with DOM methods because the descriptions come from the file
+ * @param {Object} plan - Result of planMerge
+ */
+function renderImportPreview(plan) {
+    const preview = document.getElementById('import-preview');
+    const counts = document.getElementById('import-preview-counts');
+    const details = document.getElementById('import-preview-details');
+    const overwriteLabel = document.getElementById('import-overwrite-label');
+    if (!preview || !counts || !details) return;
+    
+    counts.innerHTML = '';
+    [
+        `${plan.adds.length} new`,
+        `${plan.updates.length} updated (the file has a newer copy)`,
+        `${plan.conflicts.length} conflicts (your copy is newer)`,
+        `${plan.skipped.length} skipped (already saved or likely duplicates)`
+    ].forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        counts.appendChild(item);
+    });
+    
+    details.innerHTML = '';
+    const addGroup = (title, lines) => {
+        if (lines.length === 0) return;
+        
+        const group = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `${title} (${lines.length})`;
+        const list = document.createElement('ul');
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        group.append(summary, list);
+        details.appendChild(group);
+    };
+    
+    addGroup('Updates', plan.updates.map(u => `${describeImportItem(u.existing)} → ${describeImportItem(u.incoming)}`));
+    addGroup('Conflicts', plan.conflicts.map(c => `Yours: ${describeImportItem(c.existing)} / File: ${describeImportItem(c.incoming)}`));
+    addGroup('Skipped', plan.skipped.map(s => `${describeImportItem(s.incoming)} (${s.reason})`));
+    
+    if (overwriteLabel) overwriteLabel.hidden = plan.conflicts.length === 0;
+    const overwrite = document.getElementById('import-overwrite');
+    if (overwrite) overwrite.checked = false;
+    
+    preview.hidden = false;
+}
+
+/**
+ * List what was skipped after an import
+ * @param {Array} skipped - [{incoming, reason}]
+ */
+function renderImportSummary(skipped) {
+    const summary = document.getElementById('import-summary');
+    if (!summary) return;
+    
+    summary.innerHTML = '';
+    skipped.forEach(({ incoming, reason }) => {
+        const item = document.createElement('li');
+        item.textContent = `Skipped: ${describeImportItem(incoming)} (${reason})`;
+        summary.appendChild(item);
+    });
+}
+
+/**
+ * Show which rows of an imported file failed and why
+ * Stays on screen (no timeout) so the user can read it
+ * @param {Array} invalid - [{row, errors}] from validateImportRows
+ * @param {number} validCount - Rows that passed
+ */
+function renderImportErrors(invalid, validCount) {
+    const statusEl = document.getElementById('import-status');
+    if (!statusEl) return;
+    
+    clearTimeout(importStatusTimer);
+    statusEl.innerHTML = '';
+    statusEl.className = 'form-status error';
+    
+    const message = document.createElement('p');
+    message.textContent = validCount > 0
+        ? `${invalid.length} rows have errors, ${validCount} rows are fine.`
+        : `None of the ${invalid.length} rows can be imported.`;
+    
+    const list = document.createElement('ul');
+    list.className = 'import-errors';
+    invalid.forEach(({ row, errors }) => {
+        const item = document.createElement('li');
+        item.textContent = `Row ${row}: ${Object.values(errors).join('; ')}`;
+        list.appendChild(item);
+    });
+    
+    statusEl.append(message, list);
+}
+
+// Timer that hides the import message
+let importStatusTimer = null;
+
 function showImportStatus(message, type) {
     const statusEl = document.getElementById('import-status');
     if (!statusEl) return;
     
+    const errorsActions = document.getElementById('import-errors-actions');
+    if (errorsActions) errorsActions.hidden = true;
+    
     statusEl.textContent = message;
     statusEl.className = `form-status ${type}`;
     
-    setTimeout(() => {
+    clearTimeout(importStatusTimer);
+    importStatusTimer = setTimeout(() => {
         statusEl.textContent = '';
         statusEl.className = 'form-status';
     }, 5000);
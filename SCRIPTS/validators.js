@@ -2,6 +2,10 @@
  * validators.js - Validates user input using Regular Expressions (Regex)
  */
 
+import { SUPPORTED_CURRENCIES } from './currency.js';
+import { PERIOD_TYPES } from './periods.js';
+import { FREQUENCIES } from './recurring.js';
+
 /**
  * REGEX PATTERNS - Rules for checking if input is correct
  */
@@ -33,9 +37,53 @@ export const REGEX_PATTERNS = {
     hasCents: /\.\d{2}\b/,
     
     // 7. Budget cap validation (positive number)
-    budgetCap: /^[1-9]\d*(\.\d{2})?$/
+    budgetCap: /^[1-9]\d*(\.\d{2})?$/,
+    
+    // 8. Signed amount for transfers (money can move in or out)
+    // Examples: "-25.00" ✅ "40" ✅ "--5" ❌
+    signedAmount: /^-?(0|[1-9]\d*)(\.\d{2})?$/,
+    
+    // 9. Currency code: three capital letters
+    // Examples: "USD" ✅ "rwf" ❌
+    currency: /^[A-Z]{3}$/,
+    
+    // 10. Exchange rate: positive number, any number of decimals
+    // Examples: "0.85" ✅ "1350" ✅ "1,350" ❌
+    exchangeRate: /^(0|[1-9]\d*)(\.\d+)?$/,
+    
+    // 11. Category color: hex color like the color picker gives
+    // Examples: "#f4a261" ✅ "red" ❌
+    categoryColor: /^#[0-9a-fA-F]{6}$/,
+    
+    // 12. Whole number of days (no decimals, no leading zeros)
+    // Examples: "30" ✅ "0" ✅ "7.5" ❌ "030" ❌
+    wholeDays: /^(0|[1-9]\d*)$/,
+    
+    // 13. Amount filter bound: may be negative (transfers), up to 2 decimals
+    // Examples: "20" ✅ "5.5" ✅ "-10" ✅ "1e3" ❌
+    filterAmount: /^-?\d+(\.\d{1,2})?$/,
+    
+    // 14. Report month: YYYY-MM (what a month picker gives)
+    // Examples: "2025-09" ✅ "2025-9" ❌ "2025-13" ❌
+    reportMonth: /^\d{4}-(0[1-9]|1[0-2])$/,
+    
+    // 15. Report year: four digits
+    // Examples: "2025" ✅ "25" ❌
+    reportYear: /^\d{4}$/,
+    
+    // 16. Category rule keyword: words of letters or digits, one space between
+    // Examples: "bosco" ✅ "chez bosco" ✅ "uber eats" ✅ " bus" ❌ "a+b" ❌
+    ruleKeyword: /^[A-Za-zÀ-ÿ0-9]+(?: [A-Za-zÀ-ÿ0-9]+)*$/
 };
 
+/**
+ * Transaction types we support
+ * - income: money coming in (allowance, stipend, part-time pay)
+ * - expense: money going out (counts against the budget)
+ * - transfer: money moved around (e.g. to savings), negative means out
+ */
+export const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
 /**
  * Validate description
  * @param {string} value - Description to validate
@@ -94,10 +142,12 @@ export function validateDescription(value) {
 
 /**
  * Validate amount
+ * Transfers may be negative (money moved out), everything else must be positive
  * @param {string} value - Amount to validate
+ * @param {string} type - Transaction type (defaults to 'expense')
  * @returns {Object} {isValid: boolean, error: string}
  */
-export function validateAmount(value) {
+export function validateAmount(value, type = 'expense') {
     // Check if empty
     if (!value || value.trim() === '') {
         return {
@@ -107,15 +157,24 @@ export function validateAmount(value) {
     }
     
     // Check regex pattern
-    if (!REGEX_PATTERNS.amount.test(value)) {
+    if (type === 'transfer') {
+        if (!REGEX_PATTERNS.signedAmount.test(value)) {
+            return {
+                isValid: false,
+                error: 'Transfer amount must be a number, use a minus sign for money going out (e.g., -20.00)'
+            };
+        }
+    } else if (!REGEX_PATTERNS.amount.test(value)) {
         return {
             isValid: false,
-            error: 'Amount must be a valid number (e.g., 12.50)'
+            error: type === 'income'
+                ? 'Income must be a positive number (e.g., 150.00)'
+                : 'Amount must be a valid number (e.g., 12.50)'
         };
     }
     
     // Check if amount is too large
-    const numValue = parseFloat(value);
+    const numValue = Math.abs(parseFloat(value));
     if (numValue > 999999) {
         return {
             isValid: false,
@@ -182,12 +241,37 @@ export function validateDate(value) {
     return { isValid: true, error: '' };
 }
 
+/**
+ * Validate transaction type
+ * @param {string} value - Type to validate (income, expense or transfer)
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateType(value) {
+    // Check if empty
+    if (!value || value.trim() === '') {
+        return {
+            isValid: false,
+            error: 'Type is required'
+        };
+    }
+    
+    if (!TRANSACTION_TYPES.includes(value)) {
+        return {
+            isValid: false,
+            error: 'Type must be income, expense or transfer'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
 /**
  * Validate category
  * @param {string} value - Category to validate
+ * @param {Array} allowed - Optional list of category names that can be picked
  * @returns {Object} {isValid: boolean, error: string}
  */
-export function validateCategory(value) {
+export function validateCategory(value, allowed = null) {
     // Check if empty
     if (!value || value.trim() === '') {
         return {
@@ -204,20 +288,99 @@ export function validateCategory(value) {
         };
     }
     
+    // Must be one of the categories in settings (if a list is given)
+    if (allowed && !allowed.includes(value)) {
+        return {
+            isValid: false,
+            error: 'Pick a category from the list (manage categories in Settings)'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate a new or renamed category name
+ * @param {string} value - Name to validate
+ * @param {Array} existing - Names already in use
+ * @param {string} currentName - Name being renamed (allowed to stay the same)
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateCategoryName(value, existing = [], currentName = '') {
+    const validation = validateCategory(value);
+    if (!validation.isValid) {
+        return validation;
+    }
+    
+    if (value.length > 30) {
+        return {
+            isValid: false,
+            error: 'Category name must be 30 characters or less'
+        };
+    }
+    
+    const lower = value.toLowerCase();
+    const taken = existing.some(name => name.toLowerCase() === lower && name !== currentName);
+    if (taken) {
+        return {
+            isValid: false,
+            error: 'A category with this name already exists'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate a category color
+ * @param {string} value - Hex color like "#f4a261"
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateCategoryColor(value) {
+    if (!REGEX_PATTERNS.categoryColor.test(value || '')) {
+        return {
+            isValid: false,
+            error: 'Color must be a hex color like #f4a261'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate a category icon (usually one emoji)
+ * @param {string} value - Icon to validate
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateCategoryIcon(value) {
+    // Icon is optional
+    if (!value) {
+        return { isValid: true, error: '' };
+    }
+    
+    // Count characters the way people see them (emoji can be several code units)
+    if (/\s/.test(value) || [...value].length > 4) {
+        return {
+            isValid: false,
+            error: 'Icon must be a single emoji or symbol'
+        };
+    }
+    
     return { isValid: true, error: '' };
 }
 
 /**
  * Validate budget cap
  * @param {string} value - Budget cap to validate
+ * @param {string} label - Name used in error messages
  * @returns {Object} {isValid: boolean, error: string}
  */
-export function validateBudgetCap(value) {
+export function validateBudgetCap(value, label = 'Budget cap') {
     // Check if empty
     if (!value || value.trim() === '') {
         return {
             isValid: false,
-            error: 'Budget cap is required'
+            error: `${label} is required`
         };
     }
     
@@ -225,7 +388,7 @@ export function validateBudgetCap(value) {
     if (!REGEX_PATTERNS.budgetCap.test(value)) {
         return {
             isValid: false,
-            error: 'Budget cap must be a positive number (e.g., 500.00)'
+            error: `${label} must be a positive number (e.g., 500.00)`
         };
     }
     
@@ -233,14 +396,295 @@ export function validateBudgetCap(value) {
     if (numValue < 1) {
         return {
             isValid: false,
-            error: 'Budget cap must be at least $1'
+            error: `${label} must be at least 1`
         };
     }
     
     if (numValue > 1000000) {
         return {
             isValid: false,
-            error: 'Budget cap is too large'
+            error: `${label} is too large`
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate budget period settings
+ * @param {Object} period - {type, startDay, start, end}
+ * @returns {Object} {isValid: boolean, errors: Object}
+ */
+export function validateBudgetPeriod(period) {
+    const errors = {};
+    
+    if (!PERIOD_TYPES.includes(period.type)) {
+        errors.type = 'Period must be weekly, monthly or custom';
+    } else if (period.type === 'weekly') {
+        const day = Number(period.startDay);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            errors.startDay = 'Pick the day of the week the period starts on';
+        }
+    } else if (period.type === 'monthly') {
+        const day = Number(period.startDay);
+        if (!/^\d{1,2}$/.test(String(period.startDay)) || day < 1 || day > 28) {
+            errors.startDay = 'Start day must be between 1 and 28';
+        }
+    } else {
+        const startValidation = validateDate(period.start);
+        if (!startValidation.isValid) {
+            errors.start = startValidation.error;
+        }
+        
+        const endValidation = validateDate(period.end);
+        if (!endValidation.isValid) {
+            errors.end = endValidation.error;
+        }
+        
+        if (!errors.start && !errors.end && period.end < period.start) {
+            errors.end = 'End date must be after the start date';
+        }
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate the date and amount filters on the transaction list
+ * Empty values mean "no limit".
+ * @param {Object} filters - {dateFrom, dateTo, amountMin, amountMax}
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateListFilters(filters) {
+    const { dateFrom = '', dateTo = '', amountMin = '', amountMax = '' } = filters;
+    
+    for (const date of [dateFrom, dateTo]) {
+        if (date && !REGEX_PATTERNS.date.test(date)) {
+            return {
+                isValid: false,
+                error: 'Dates must be in YYYY-MM-DD format'
+            };
+        }
+    }
+    
+    if (dateFrom && dateTo && dateFrom > dateTo) {
+        return {
+            isValid: false,
+            error: 'The "from" date must be before the "to" date'
+        };
+    }
+    
+    for (const amount of [amountMin, amountMax]) {
+        if (amount && !REGEX_PATTERNS.filterAmount.test(amount)) {
+            return {
+                isValid: false,
+                error: 'Amounts must be numbers with up to 2 decimals (e.g., 20 or 5.50)'
+            };
+        }
+    }
+    
+    if (amountMin && amountMax && parseFloat(amountMin) > parseFloat(amountMax)) {
+        return {
+            isValid: false,
+            error: 'The minimum amount must be less than the maximum'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate the month or year picked for a report
+ * @param {string} type - 'month' or 'year'
+ * @param {string} value - "YYYY-MM" for a month, "YYYY" for a year
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateReportPeriod(type, value) {
+    if (type === 'year') {
+        return REGEX_PATTERNS.reportYear.test(value)
+            ? { isValid: true, error: '' }
+            : { isValid: false, error: 'Pick a year like 2025' };
+    }
+    
+    return REGEX_PATTERNS.reportMonth.test(value)
+        ? { isValid: true, error: '' }
+        : { isValid: false, error: 'Pick a month (YYYY-MM, e.g., 2025-09)' };
+}
+
+/**
+ * Validate the name of a saved search
+ * @param {string} value - Preset name (e.g., "Food this month")
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validatePresetName(value) {
+    // Check if empty
+    if (!value || value.trim() === '') {
+        return {
+            isValid: false,
+            error: 'Name is required'
+        };
+    }
+    
+    // Same pattern as a description: no spaces at the ends
+    if (!REGEX_PATTERNS.description.test(value)) {
+        return {
+            isValid: false,
+            error: 'Name cannot have leading or trailing spaces'
+        };
+    }
+    
+    if (value.length > 40) {
+        return {
+            isValid: false,
+            error: 'Name must be 40 characters or less'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate a keyword rule for category suggestions
+ * @param {string} keyword - Word(s) to look for in descriptions
+ * @param {string} category - Category to suggest
+ * @param {Array} allowed - Category names that can be picked
+ * @returns {Object} {isValid: boolean, errors: {keyword, category}}
+ */
+export function validateCategoryRule(keyword, category, allowed = null) {
+    const errors = {};
+    
+    if (!keyword || keyword.trim() === '') {
+        errors.keyword = 'Keyword is required';
+    } else if (!REGEX_PATTERNS.ruleKeyword.test(keyword)) {
+        errors.keyword = 'Keyword can only contain letters and numbers, with single spaces between words';
+    } else if (keyword.length < 2 || keyword.length > 40) {
+        errors.keyword = 'Keyword must be 2 to 40 characters';
+    }
+    
+    const categoryValidation = validateCategory(category, allowed);
+    if (!categoryValidation.isValid) {
+        errors.category = categoryValidation.error;
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate how many days deleted transactions stay in the trash
+ * @param {string} value - Number of days (0 = keep until emptied by hand)
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateTrashRetention(value) {
+    // Check if empty
+    if (!value || value.trim() === '') {
+        return {
+            isValid: false,
+            error: 'Number of days is required'
+        };
+    }
+    
+    // Check regex pattern
+    if (!REGEX_PATTERNS.wholeDays.test(value)) {
+        return {
+            isValid: false,
+            error: 'Days must be a whole number (e.g., 30)'
+        };
+    }
+    
+    if (parseInt(value, 10) > 365) {
+        return {
+            isValid: false,
+            error: 'Trash can keep transactions for at most 365 days'
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate a budget cap for one category
+ * Same rules as the overall budget cap, plus a valid category name
+ * @param {string} category - Category the cap belongs to
+ * @param {string} value - Cap to validate
+ * @param {Array} allowed - Optional list of category names that can be picked
+ * @returns {Object} {isValid: boolean, errors: Object}
+ */
+export function validateCategoryBudget(category, value, allowed = null) {
+    const errors = {};
+    
+    const categoryValidation = validateCategory(category, allowed);
+    if (!categoryValidation.isValid) {
+        errors.category = categoryValidation.error;
+    }
+    
+    const capValidation = validateBudgetCap(value, 'Category budget');
+    if (!capValidation.isValid) {
+        errors.cap = capValidation.error;
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate currency code
+ * @param {string} value - Currency code to validate (e.g., 'EUR')
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateCurrency(value) {
+    // Check if empty
+    if (!value || value.trim() === '') {
+        return {
+            isValid: false,
+            error: 'Currency is required'
+        };
+    }
+    
+    // Check regex pattern
+    if (!REGEX_PATTERNS.currency.test(value) || !SUPPORTED_CURRENCIES.includes(value)) {
+        return {
+            isValid: false,
+            error: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+        };
+    }
+    
+    return { isValid: true, error: '' };
+}
+
+/**
+ * Validate exchange rate
+ * @param {string} value - Rate to validate (units per 1 USD)
+ * @returns {Object} {isValid: boolean, error: string}
+ */
+export function validateExchangeRate(value) {
+    // Check if empty
+    if (!value || value.trim() === '') {
+        return {
+            isValid: false,
+            error: 'Exchange rate is required'
+        };
+    }
+    
+    // Check regex pattern
+    if (!REGEX_PATTERNS.exchangeRate.test(value)) {
+        return {
+            isValid: false,
+            error: 'Exchange rate must be a positive number (e.g., 0.85)'
+        };
+    }
+    
+    if (parseFloat(value) === 0) {
+        return {
+            isValid: false,
+            error: 'Exchange rate must be greater than 0'
         };
     }
     
@@ -249,23 +693,37 @@ export function validateBudgetCap(value) {
 
 /**
  * Validate all form fields at once
- * @param {Object} formData - Object with description, amount, category, date
+ * @param {Object} formData - Object with description, amount, category, date, type, currency
+ * @param {Object} options - {categories: names that can be picked (optional)}
  * @returns {Object} {isValid: boolean, errors: Object}
  */
-export function validateTransaction(formData) {
+export function validateTransaction(formData, options = {}) {
     const errors = {};
     
+    // Older records have no type, they are all expenses
+    const type = formData.type || 'expense';
+    const typeValidation = validateType(type);
+    if (!typeValidation.isValid) {
+        errors.type = typeValidation.error;
+    }
+    
+    // Older records have no currency, they are all USD
+    const currencyValidation = validateCurrency(formData.currency || 'USD');
+    if (!currencyValidation.isValid) {
+        errors.currency = currencyValidation.error;
+    }
+    
     const descValidation = validateDescription(formData.description);
     if (!descValidation.isValid) {
         errors.description = descValidation.error;
     }
     
-    const amountValidation = validateAmount(formData.amount);
+    const amountValidation = validateAmount(formData.amount, type);
     if (!amountValidation.isValid) {
         errors.amount = amountValidation.error;
     }
     
-    const categoryValidation = validateCategory(formData.category);
+    const categoryValidation = validateCategory(formData.category, options.categories);
     if (!categoryValidation.isValid) {
         errors.category = categoryValidation.error;
     }
@@ -280,3 +738,113 @@ export function validateTransaction(formData) {
         errors
     };
 }
+
+/**
+ * Turn an imported value into text the validators can check
+ * Numbers become text too, missing values become ""
+ * @param {*} value - Value from the file
+ * @returns {string} Text value
+ */
+function toImportText(value) {
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    if (typeof value === 'string') {
+        return value;
+    }
+    return '';
+}
+
+/**
+ * Turn an imported amount into text for the amount pattern
+ * Exports save amounts as numbers, so 12.50 comes back as 12.5. Numbers with
+ * at most 2 decimals are written out as "12.50"; others stay as they are and fail.
+ * @param {*} value - Amount from the file
+ * @returns {string} Amount text
+ */
+function toImportAmount(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && Math.round(value * 100) / 100 === value) {
+        return value.toFixed(2);
+    }
+    return toImportText(value).trim();
+}
+
+/**
+ * Validate every item of an imported file on its own
+ * Amounts stored as strings ("12.50") are turned into numbers for saving.
+ * @param {Array} items - Items from the file
+ * @param {Object} options - Same options as validateTransaction
+ * @returns {Object} {valid: Array of transactions, invalid: [{row, item, errors}]}
+ */
+export function validateImportRows(items, options = {}) {
+    const valid = [];
+    const invalid = [];
+    
+    items.forEach((item, index) => {
+        const row = index + 1;
+        
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            invalid.push({ row, item, errors: { item: 'Not a transaction' } });
+            return;
+        }
+        
+        const formData = {
+            type: item.type === undefined ? undefined : toImportText(item.type),
+            currency: item.currency === undefined ? undefined : toImportText(item.currency),
+            description: toImportText(item.description),
+            amount: toImportAmount(item.amount),
+            category: toImportText(item.category),
+            date: toImportText(item.date)
+        };
+        
+        const validation = validateTransaction(formData, options);
+        if (!validation.isValid) {
+            invalid.push({ row, item, errors: validation.errors });
+            return;
+        }
+        
+        valid.push({ ...item, amount: parseFloat(formData.amount) });
+    });
+    
+    return { valid, invalid };
+}
+
+/**
+ * Validate a recurring rule (transaction fields plus a schedule)
+ * @param {Object} ruleData - Transaction fields plus {frequency, startDate, endDate, count}
+ * @param {Object} options - Same options as validateTransaction
+ * @returns {Object} {isValid: boolean, errors: Object}
+ */
+export function validateRecurringRule(ruleData, options = {}) {
+    // The start date is checked like a normal transaction date
+    const { errors } = validateTransaction({ ...ruleData, date: ruleData.startDate }, options);
+    
+    if (errors.date) {
+        errors.startDate = errors.date;
+        delete errors.date;
+    }
+    
+    if (!FREQUENCIES.includes(ruleData.frequency)) {
+        errors.frequency = 'Repeat must be daily, weekly, monthly or yearly';
+    }
+    
+    // End date is optional
+    if (ruleData.endDate) {
+        const endValidation = validateDate(ruleData.endDate);
+        if (!endValidation.isValid) {
+            errors.endDate = endValidation.error;
+        } else if (ruleData.startDate && ruleData.endDate < ruleData.startDate) {
+            errors.endDate = 'End date must be after the start date';
+        }
+    }
+    
+    // Count is optional too
+    if (ruleData.count && !/^[1-9]\d{0,2}$/.test(String(ruleData.count))) {
+        errors.count = 'Number of times must be a whole number between 1 and 999';
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}